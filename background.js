@@ -1,6 +1,9 @@
 // Background service worker for Pixabay Sound Effects Downloader - Focused Audio Extraction
 console.log('Pixabay Sound Effects Downloader background script loaded');
 
+// Shared helpers also used by the popup
+importScripts('filename-template.js', 'selector-profile.js', 'settings-schema.js');
+
 // Download control variables
 let isDownloadPaused = false;
 let isDownloadCanceled = false;
@@ -8,20 +11,44 @@ let currentDownloadSession = null;
 let downloadQueue = [];
 let scannedSoundEffects = []; // Store scanned items separately
 
+// Download job persistence - lets a batch survive service worker suspension and browser restarts
+let downloadJob = null; // Job currently being downloaded, mirrored to chrome.storage
+let interruptedJob = null; // Unfinished job found in storage when the worker started
+let stateRestored = Promise.resolve();
+let downloadPageInfo = null; // Page info of the running batch, used by filename templates
+let selectorProfile = mergeSelectorProfile(null); // Passed to injected functions, which cannot see worker globals
+let downloadWorkerTabId = null; // Tab the extension opens for navigate-and-click downloads
+let downloadWorkerWindowId = null;
+const DOWNLOAD_WORKER_STORAGE_KEY = 'downloadWorkerTab'; // chrome.storage.session key for the two IDs above
+let isCloudflarePaused = false; // Batch paused by us (not the user) until a challenge page clears
+let isWatchlistCheckRunning = false;
+let isWatchlistBaselineQueued = false; // Entry added during a check, baseline it once the check ends
+const pendingTabScans = new Map(); // Background-tab scans waiting for their content script's results, keyed by tab ID
+let actionBadge = { text: null, color: null }; // Last badge set on the toolbar icon
+
+// Downloads started for the current batch, keyed by sound ID, until Chrome reports them complete or interrupted
+const trackedDownloads = new Map();
+const DOWNLOAD_START_TIMEOUT = 30000; // A click that starts no download within this time counts as failed
+const DOWNLOAD_FINISH_TIMEOUT = 10 * 60 * 1000;
+
+// Load the user's selector overrides and follow edits from settings
+loadSelectorProfile().then(profile => {
+    selectorProfile = profile;
+});
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SELECTOR_PROFILE_STORAGE_KEY]) {
+        selectorProfile = mergeSelectorProfile(changes[SELECTOR_PROFILE_STORAGE_KEY].newValue);
+        console.log('Selector profile updated:', selectorProfile);
+    }
+});
+
 // Scanning control variables
 let currentScanSession = null;
 let isScanInProgress = false;
+let currentCrawl = null; // Active multi-page crawl session
 
-// Configuration variables
-let downloadConfig = {
-    downloadLocation: 'downloads',
-    customLocationPath: '',
-    mainFolderName: 'PixabayAudio',
-    sortIntoUserFolders: true,
-    fileNamingPattern: 'title_id',
-    audioQuality: 'highest',
-    downloadDelay: 2
-};
+// Configuration variables, see SETTINGS_SCHEMA in settings-schema.js
+let downloadConfig = getDefaultSettings();
 
 // Popup state persistence variables
 let extensionState = {
@@ -31,15 +58,28 @@ let extensionState = {
     scannedItems: [],
     currentProgress: { current: 0, total: 0 },
     lastStatus: { icon: 'i', message: 'Ready', type: '' },
-    currentTab: null
+    currentTab: null,
+    crawlProgress: null,
+    resumableJob: null,
+    itemSelection: null, // { selectedIds, filter, sortBy } from the popup's items list
+    failedDownloads: [], // { id, title, pageUrl, error, failedAt } from the last batch
+    requestRate: null // { delaySeconds, floorSeconds, cooldownUntil } from the adaptive rate limiter
 };
 
+// extensionState is written to storage at most this often; scannedItems goes to its own key, only when it changed
+const STATE_PERSIST_DELAY = 250;
+let statePersistTimer = null;
+let isScannedItemsDirty = false;
+
 // Listen for messages from popup and content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.action) {
         case 'GET_EXTENSION_STATE':
-            sendResponse({ state: extensionState });
-            break;
+            // Wait for persisted state so a freshly started worker reports the interrupted job
+            stateRestored.then(() => {
+                sendResponse({ state: extensionState });
+            });
+            return true;
         case 'UPDATE_CONFIG':
             handleConfigUpdate(message.config);
             sendResponse({ success: true });
@@ -52,6 +92,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             handleStartDownload(message, sender.tab?.id || null);
             sendResponse({ success: true });
             break;
+        case 'QUEUE_SOUND_ITEM':
+            stateRestored.then(() => {
+                sendResponse({ result: handleSoundItemRequest(message.item, sender.tab?.id || null, !message.download) });
+            });
+            return true;
+        case 'UPDATE_ITEM_SELECTION':
+            updateExtensionState({ itemSelection: message.selection });
+            sendResponse({ success: true });
+            break;
+        case 'RESOLVE_AUDIO_URL':
+            resolvePreviewAudioUrl(message.itemId, message.pageUrl).then(audioUrl => {
+                sendResponse({ audioUrl: audioUrl });
+            });
+            return true;
+        case 'IMPORT_SOUND_ITEMS':
+            sendResponse(handleImportSoundItems(message.entries));
+            break;
         case 'PAUSE_DOWNLOAD':
             pauseDownload();
             sendResponse({ success: true });
@@ -64,6 +121,29 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             cancelDownload();
             sendResponse({ success: true });
             break;
+        case 'RETRY_FAILED_DOWNLOADS':
+            retryFailedDownloads(message, sender.tab?.id || null);
+            sendResponse({ success: true });
+            break;
+        case 'RESUME_INTERRUPTED_DOWNLOAD':
+            resumeInterruptedDownload(message, sender.tab?.id || null);
+            sendResponse({ success: true });
+            break;
+        case 'DISCARD_INTERRUPTED_DOWNLOAD':
+            discardInterruptedDownload().then(() => {
+                sendResponse({ success: true });
+            });
+            return true;
+        case 'GET_PAGE_INFO':
+            getPageInfoFromTab(message.tabId).then(pageInfo => {
+                sendResponse({ pageInfo: pageInfo });
+            });
+            return true;
+        case 'RUN_SELECTOR_DIAGNOSTICS':
+            runSelectorDiagnostics(message.tabId).then(result => {
+                sendResponse(result);
+            });
+            return true;
         case 'GET_USER_INFO':
             getUserInfoFromPage(message.tabId);
             sendResponse({ success: true });
@@ -73,13 +153,47 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             sendResponse({ success: true });
             break;
         case 'SCANNING_ERROR':
-            handleScanningError(message);
+            handleScanningError(message, sender.tab?.id || null);
+            sendResponse({ success: true });
+            break;
+        case 'GET_WATCHLIST':
+            loadWatchlist().then(watchlist => {
+                sendResponse({ watchlist: watchlist, isChecking: isWatchlistCheckRunning });
+            });
+            return true;
+        case 'ADD_WATCHLIST_ENTRY':
+            addWatchlistEntry(message.url).then(result => {
+                sendResponse(result);
+            });
+            return true;
+        case 'REMOVE_WATCHLIST_ENTRY':
+            removeWatchlistEntry(message.entryId).then(() => {
+                sendResponse({ success: true });
+            });
+            return true;
+        case 'CHECK_WATCHLIST_NOW':
+            runWatchlistCheck();
             sendResponse({ success: true });
             break;
+        case 'DOWNLOAD_WATCHLIST_NEW':
+            downloadWatchlistNewItems(message.entryId).then(result => {
+                sendResponse({ ok: result.ok, error: result.error });
+            });
+            return true;
         case 'SET_AUTO_LIKE':
             setAutoLikeSetting(message.enabled);
             sendResponse({ success: true });
             break;
+        case 'GET_LEDGER_STATS':
+            getLedgerCount().then(count => {
+                sendResponse({ count: count });
+            });
+            return true;
+        case 'CLEAR_LEDGER':
+            clearLedger().then(() => {
+                sendResponse({ success: true });
+            });
+            return true;
         case 'GET_AUTO_LIKE':
             getAutoLikeSetting().then(enabled => {
                 sendResponse({ enabled: enabled });
@@ -90,6 +204,193 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
 });
 
+// Keyboard shortcuts (manifest "commands") drive the same handlers as the popup buttons
+chrome.commands.onCommand.addListener((command, tab) => {
+    stateRestored.then(() => handleCommand(command, tab));
+});
+
+async function handleCommand(command, tab) {
+    console.log(`Keyboard command: ${command}`);
+    
+    switch (command) {
+        case 'scan-page':
+            if (!tab || !tab.url || !tab.url.includes('pixabay.com')) {
+                notifyUser('errors', 'command-error', 'Nothing to scan', 'Open a Pixabay page and try the shortcut again.');
+                return;
+            }
+            await handleSoundEffectsScan({ action: 'START_SOUND_EFFECTS_SCAN', tabId: tab.id }, tab.id);
+            break;
+        case 'download-scanned': {
+            if (extensionState.isDownloading) return;
+            
+            // An empty list would make handleStartDownload fall back to every scanned item
+            const selectedItems = getSelectedScannedItems();
+            if (selectedItems.length === 0) {
+                const message = scannedSoundEffects.length > 0
+                    ? 'No sounds are selected. Check some in the popup and try the shortcut again.'
+                    : 'Scan a Pixabay page first, then try the shortcut again.';
+                notifyUser('errors', 'command-error', 'Nothing to download', message);
+                return;
+            }
+            await handleStartDownload({ action: 'START_DOWNLOAD', tabId: tab ? tab.id : null, items: selectedItems }, null);
+            break;
+        }
+        case 'toggle-pause':
+            if (!extensionState.isDownloading) return;
+            if (isDownloadPaused) {
+                resumeDownload();
+            } else {
+                pauseDownload();
+            }
+            break;
+        case 'cancel':
+            if (extensionState.isDownloading) {
+                cancelDownload();
+            } else if (isScanInProgress) {
+                cancelCurrentScan();
+            }
+            break;
+    }
+}
+
+// The popup's checked items, or everything when it never changed the selection
+function getSelectedScannedItems() {
+    const selection = extensionState.itemSelection;
+    if (!selection || !Array.isArray(selection.selectedIds)) {
+        return scannedSoundEffects;
+    }
+    
+    const selectedIds = new Set(selection.selectedIds.map(String));
+    return scannedSoundEffects.filter(item => selectedIds.has(String(item.id)));
+}
+
+// Right-click menus on Pixabay sound links and pages
+const SOUND_LINK_PATTERNS = [
+    '*://pixabay.com/sound-effects/*', '*://*.pixabay.com/sound-effects/*',
+    '*://pixabay.com/music/*', '*://*.pixabay.com/music/*'
+];
+const PIXABAY_PAGE_PATTERNS = ['*://pixabay.com/*', '*://*.pixabay.com/*'];
+
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({ id: 'download-sound-link', title: 'Download this sound', contexts: ['link'], targetUrlPatterns: SOUND_LINK_PATTERNS, documentUrlPatterns: PIXABAY_PAGE_PATTERNS });
+        chrome.contextMenus.create({ id: 'queue-sound-link', title: 'Add to queue', contexts: ['link'], targetUrlPatterns: SOUND_LINK_PATTERNS, documentUrlPatterns: PIXABAY_PAGE_PATTERNS });
+        chrome.contextMenus.create({ id: 'download-sound-page', title: 'Download this sound', contexts: ['page'], documentUrlPatterns: SOUND_LINK_PATTERNS });
+        chrome.contextMenus.create({ id: 'queue-sound-page', title: 'Add to queue', contexts: ['page'], documentUrlPatterns: SOUND_LINK_PATTERNS });
+        chrome.contextMenus.create({ id: 'scan-page', title: 'Scan this page', contexts: ['page'], documentUrlPatterns: PIXABAY_PAGE_PATTERNS });
+    });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    stateRestored.then(() => handleContextMenuClick(info, tab));
+});
+
+async function handleContextMenuClick(info, tab) {
+    const tabId = tab ? tab.id : null;
+    console.log(`Context menu: ${info.menuItemId}`);
+    
+    if (info.menuItemId === 'scan-page') {
+        await handleSoundEffectsScan({ action: 'START_SOUND_EFFECTS_SCAN', tabId: tabId }, tabId);
+        return;
+    }
+    
+    // The sound page patterns also match listings, so only a URL with a sound ID gets through
+    const soundUrl = info.linkUrl || info.pageUrl;
+    const item = buildContextMenuSoundItem(soundUrl, info.pageUrl);
+    if (!item) {
+        notifyUser('errors', 'context-menu-error', 'Not a sound', 'That link does not point to a single Pixabay sound.');
+        return;
+    }
+    
+    const queueOnly = info.menuItemId === 'queue-sound-link' || info.menuItemId === 'queue-sound-page';
+    handleSoundItemRequest(item, tabId, queueOnly);
+}
+
+// Single items from the right-click menu or the buttons on result cards
+// One batch at a time, so a download while busy joins the running batch instead
+function handleSoundItemRequest(item, tabId, queueOnly) {
+    if (queueOnly || extensionState.isDownloading) {
+        queueSoundItem(item);
+        return 'queued';
+    }
+    
+    handleStartDownload({ action: 'START_DOWNLOAD', tabId: tabId, items: [item] }, tabId);
+    return 'started';
+}
+
+// Same shape as extractSoundEffectOptimized in content-script.js, built from the URL alone
+function buildContextMenuSoundItem(soundUrl, sourcePageUrl) {
+    const item = normalizeImportedEntry({ url: soundUrl, title: getTitleFromSoundUrl(soundUrl) }, 0);
+    if (!item) return null;
+    
+    const profileUrl = sourcePageUrl || item.pageUrl;
+    return {
+        id: item.id,
+        title: item.title,
+        downloadUrl: item.downloadUrl,
+        previewUrl: '',
+        pageUrl: item.pageUrl,
+        profileUrl: profileUrl,
+        category: parsePixabayPageUrl(profileUrl).category || 'sound-effects',
+        element: null,
+        useButtonClick: true,
+        extractedAt: item.extractedAt,
+        containerIndex: 0
+    };
+}
+
+// Slugs like /sound-effects/door-slam-12345/ carry the title
+// The /music/id-12345/ URLs built from bare IDs have none, normalizeImportedEntry then names the item by ID
+function getTitleFromSoundUrl(soundUrl) {
+    try {
+        const slugMatch = new URL(soundUrl).pathname.match(/\/([^\/]+)-\d+\/?$/);
+        return slugMatch && slugMatch[1] !== 'id' ? decodeURIComponent(slugMatch[1]).replace(/-/g, ' ') : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+// Join the running batch while it still has work, otherwise add to the scanned list for the next download
+// The toolbar badge (scan count or progress) shows the item landed
+function queueSoundItem(item) {
+    if (downloadJob && !isDownloadCanceled && getFirstUnfinishedIndex(downloadJob) !== -1) {
+        if (downloadQueue.some(queued => String(queued.id) === String(item.id))) {
+            console.log(`${item.id} is already in the running download`);
+            return;
+        }
+        
+        // downloadQueue is the running job's item list, its workers pick new entries up as they go
+        downloadQueue.push(item);
+        downloadJob.statuses.push('pending');
+        persistDownloadJob();
+        updateExtensionState({
+            lastStatus: { icon: 'Download', message: `Added ${item.title} to the running download`, type: 'success' }
+        });
+        return;
+    }
+    
+    if (!scannedSoundEffects.some(scanned => String(scanned.id) === String(item.id))) {
+        scannedSoundEffects = [...scannedSoundEffects, item];
+    }
+    
+    // Keep the popup's selection and mark the new item as selected
+    const selection = extensionState.itemSelection;
+    const itemSelection = selection && Array.isArray(selection.selectedIds)
+        ? { ...selection, selectedIds: [...new Set([...selection.selectedIds.map(String), String(item.id)])] }
+        : null;
+    
+    updateExtensionState({
+        scannedItems: scannedSoundEffects,
+        itemSelection: itemSelection,
+        lastStatus: { icon: 'Check', message: `Queued ${item.title} (${scannedSoundEffects.length} in list)`, type: 'success' }
+    });
+    sendMessageToPopup({
+        action: 'SOUND_ITEM_QUEUED',
+        items: scannedSoundEffects,
+        itemId: item.id
+    });
+}
+
 // Handle extension installation
 chrome.runtime.onInstalled.addListener(async (details) => {
     if (details.reason === 'install') {
@@ -101,16 +402,13 @@ chrome.runtime.onInstalled.addListener(async (details) => {
             'autoLikeEnabled': false,
             'version': '3.1',
             // Set default configuration
-            'downloadLocation': 'downloads',
-            'customLocationPath': '',
-            'mainFolderName': 'PixabayAudio',
-            'sortIntoUserFolders': true,
-            'fileNamingPattern': 'title_id',
-            'audioQuality': 'highest',
-            'downloadDelay': 2
+            ...getDefaultSettings()
         });
     }
     
+    // Menus survive restarts, so they are only (re)created on install and update
+    createContextMenus();
+    
     // Load configuration after installation or update
     await loadConfiguration();
 });
@@ -120,43 +418,23 @@ chrome.runtime.onStartup.addListener(async () => {
     await loadConfiguration();
 });
 
-// Load configuration immediately when service worker starts
+// Load configuration and any persisted job immediately when service worker starts
+stateRestored = restorePersistedState().then(restoreDownloadWorkerTab);
 (async () => {
     await loadConfiguration();
+    await scheduleWatchlistAlarm();
 })();
 
 // Load configuration on startup
 async function loadConfiguration() {
-    try {
-        const result = await chrome.storage.local.get([
-            'downloadLocation',
-            'customLocationPath',
-            'mainFolderName',
-            'sortIntoUserFolders',
-            'fileNamingPattern',
-            'audioQuality',
-            'downloadDelay'
-        ]);
-        
-        downloadConfig = {
-            downloadLocation: result.downloadLocation || 'downloads',
-            customLocationPath: result.customLocationPath || '',
-            mainFolderName: result.mainFolderName || 'PixabayAudio',
-            sortIntoUserFolders: result.sortIntoUserFolders !== undefined ? result.sortIntoUserFolders : true,
-            fileNamingPattern: result.fileNamingPattern || 'title_id',
-            audioQuality: result.audioQuality || 'highest',
-            downloadDelay: result.downloadDelay || 2
-        };
-        
-        console.log('Configuration loaded:', downloadConfig);
-    } catch (error) {
-        console.error('Error loading configuration:', error);
-    }
+    downloadConfig = await loadSettings();
+    console.log('Configuration loaded:', downloadConfig);
 }
 
 function handleConfigUpdate(config) {
-    downloadConfig = { ...downloadConfig, ...config };
+    downloadConfig = normalizeSettings(config, downloadConfig).settings;
     console.log('Configuration updated:', downloadConfig);
+    scheduleWatchlistAlarm();
 }
 
 function generateFilename(soundEffect, index) {
@@ -173,8 +451,8 @@ function generateFilename(soundEffect, index) {
         case 'id_only':
             return id.toString();
         case 'custom':
-            // Could implement custom pattern in the future
-            return `${title}_${id}`;
+            // Template engine from filename-template.js, falls back to title_id if it renders empty
+            return renderFilenameTemplate(downloadConfig.fileNamingTemplate, buildFilenameTemplateContext(soundEffect, index, downloadPageInfo)) || `${title}_${id}`;
         default:
             return `${title}_${id}`;
     }
@@ -202,8 +480,21 @@ function getFolderPath(pageInfo) {
 }
 
 // Listen for tab changes and close events to cancel scans
-chrome.tabs.onActivated.addListener((activeInfo) => {
-    // Cancel scan if user switches tabs
+chrome.tabs.onActivated.addListener(async (activeInfo) => {
+    if (!isScanInProgress || !currentScanSession || activeInfo.tabId === extensionState.currentTab) {
+        return;
+    }
+    
+    // Cancel scan if user switches away from the scanned tab in its own window; the minimized
+    // windows the extension opens (watchlist checks, downloads) activate a tab of their own
+    try {
+        const scannedTab = await chrome.tabs.get(extensionState.currentTab);
+        if (scannedTab.windowId !== activeInfo.windowId) return;
+    } catch (error) {
+        // Scanned tab is gone, onRemoved cancels the scan
+        return;
+    }
+    
     if (isScanInProgress && currentScanSession) {
         console.log('Tab switched, canceling scan');
         cancelCurrentScan();
@@ -216,12 +507,202 @@ chrome.tabs.onRemoved.addListener((tabId) => {
         console.log('Tab closed, canceling scan');
         cancelCurrentScan();
     }
+    
+    // Forget the download tab if the user closed it, the next item opens a new one
+    if (tabId === downloadWorkerTabId) {
+        setDownloadWorkerTab(null);
+    }
 });
 
 // Update extension state helper
 function updateExtensionState(updates) {
     extensionState = { ...extensionState, ...updates };
     console.log('Extension state updated:', extensionState);
+    if ('scannedItems' in updates) {
+        isScannedItemsDirty = true;
+    }
+    persistExtensionState();
+    updateActionBadge();
+}
+
+// Show scan and download results on the toolbar icon, so shortcuts work without opening the popup
+function updateActionBadge() {
+    let text = '';
+    let color = '#4bc24b';
+    const progress = extensionState.currentProgress || {};
+    
+    if (extensionState.isScanning) {
+        text = '...';
+    } else if (extensionState.isDownloading && extensionState.isPaused) {
+        text = 'II';
+        color = '#ff7b00';
+    } else if (extensionState.isDownloading && progress.total > 0) {
+        const finished = (progress.current || 0) + (progress.skipped || 0) + (progress.failed || 0);
+        text = `${Math.floor((finished / progress.total) * 100)}%`;
+    } else if (extensionState.lastStatus && extensionState.lastStatus.type === 'error') {
+        text = '!';
+        color = '#dc3545';
+    } else if (extensionState.scannedItems && extensionState.scannedItems.length > 0) {
+        text = extensionState.scannedItems.length > 999 ? '999+' : String(extensionState.scannedItems.length);
+    }
+    
+    if (text === actionBadge.text && color === actionBadge.color) return;
+    actionBadge = { text: text, color: color };
+    
+    chrome.action.setBadgeText({ text: text }).catch(() => {});
+    chrome.action.setBadgeBackgroundColor({ color: color }).catch(() => {});
+}
+
+// Progress updates arrive once per item, and a crawl can scan thousands of items
+function persistExtensionState() {
+    if (statePersistTimer) return;
+    
+    statePersistTimer = setTimeout(() => {
+        statePersistTimer = null;
+        
+        const { scannedItems, ...state } = extensionState;
+        const data = { 'extensionState': state };
+        if (isScannedItemsDirty) {
+            data.scannedItems = scannedItems;
+            isScannedItemsDirty = false;
+        }
+        
+        chrome.storage.local.set(data).catch((error) => {
+            console.error('Error persisting extension state:', error);
+        });
+    }, STATE_PERSIST_DELAY);
+}
+
+// Rebuild state after the service worker was suspended or the browser restarted
+async function restorePersistedState() {
+    try {
+        const result = await chrome.storage.local.get(['extensionState', 'scannedItems', 'downloadJob']);
+        
+        if (result.extensionState) {
+            // Nothing can still be running in a fresh worker
+            extensionState = {
+                ...extensionState,
+                ...result.extensionState,
+                isScanning: false,
+                isDownloading: false,
+                isPaused: false,
+                crawlProgress: null,
+                resumableJob: null
+            };
+            // Older versions kept the scanned list inside extensionState
+            extensionState.scannedItems = result.scannedItems || result.extensionState.scannedItems || [];
+            scannedSoundEffects = extensionState.scannedItems;
+        }
+        
+        const job = result.downloadJob;
+        if (job && Array.isArray(job.items) && Array.isArray(job.statuses)) {
+            const nextIndex = getFirstUnfinishedIndex(job);
+            
+            if (nextIndex === -1) {
+                await chrome.storage.local.remove('downloadJob');
+                return;
+            }
+            
+            interruptedJob = job;
+            const finishedCount = job.statuses.filter(isFinishedJobStatus).length;
+            
+            console.log(`Found interrupted download job: ${finishedCount}/${job.items.length} finished, next item ${nextIndex}`);
+            
+            extensionState = {
+                ...extensionState,
+                currentProgress: { current: job.downloadedCount || 0, total: job.items.length, skipped: job.skippedCount || 0, failed: (job.failures || []).length },
+                resumableJob: {
+                    total: job.items.length,
+                    finished: finishedCount,
+                    nextIndex: nextIndex,
+                    updatedAt: job.updatedAt
+                },
+                failedDownloads: job.failures || [],
+                lastStatus: { icon: '!', message: `Previous download was interrupted at ${finishedCount}/${job.items.length}. Resume to continue.`, type: 'warning' }
+            };
+        }
+    } catch (error) {
+        console.error('Error restoring persisted state:', error);
+    }
+}
+
+function isFinishedJobStatus(status) {
+    return status === 'done' || status === 'skipped' || status === 'failed';
+}
+
+function getFirstUnfinishedIndex(job) {
+    return job.statuses.findIndex(status => !isFinishedJobStatus(status));
+}
+
+async function persistDownloadJob() {
+    if (!downloadJob) return;
+    
+    downloadJob.isPaused = isDownloadPaused;
+    downloadJob.updatedAt = new Date().toISOString();
+    
+    try {
+        await chrome.storage.local.set({ 'downloadJob': downloadJob });
+    } catch (error) {
+        console.error('Error persisting download job:', error);
+    }
+}
+
+async function setJobItemStatus(index, status) {
+    if (!downloadJob) return;
+    downloadJob.statuses[index] = status;
+    await persistDownloadJob();
+}
+
+async function clearPersistedDownloadJob() {
+    downloadJob = null;
+    try {
+        await chrome.storage.local.remove('downloadJob');
+    } catch (error) {
+        console.error('Error clearing persisted download job:', error);
+    }
+}
+
+async function resumeInterruptedDownload(request, tabId) {
+    const job = interruptedJob;
+    
+    if (!job) {
+        sendMessageToPopup({
+            action: 'DOWNLOAD_ERROR',
+            error: 'No interrupted download to resume'
+        });
+        return;
+    }
+    
+    interruptedJob = null;
+    
+    // The original tab may be gone after a browser restart, prefer the one asking to resume
+    const targetTabId = request.tabId || tabId || job.tabId;
+    const finishedCount = job.statuses.filter(isFinishedJobStatus).length;
+    
+    console.log(`Resuming interrupted download from item ${getFirstUnfinishedIndex(job)} (${finishedCount}/${job.items.length} finished)`);
+    
+    updateExtensionState({
+        isDownloading: true,
+        isPaused: false,
+        resumableJob: null,
+        currentProgress: { current: job.downloadedCount || 0, total: job.items.length, skipped: job.skippedCount || 0, failed: (job.failures || []).length },
+        lastStatus: { icon: 'Arrow', message: `Resuming download at ${finishedCount + 1}/${job.items.length}...`, type: 'success' }
+    });
+    
+    await startSoundEffectsDownload(job.items, targetTabId, {
+        forceRedownload: !!job.forceRedownload,
+        resumeJob: job
+    });
+}
+
+async function discardInterruptedDownload() {
+    interruptedJob = null;
+    await clearPersistedDownloadJob();
+    await closeDownloadWorkerTab();
+    updateExtensionState({
+        resumableJob: null,
+        lastStatus: { icon: 'i', message: 'Interrupted download discarded', type: '' }
+    });
 }
 
 function cancelCurrentScan() {
@@ -237,11 +718,20 @@ function cancelCurrentScan() {
             });
         }
         
+        // Stop any multi-page crawl waiting on a page
+        if (currentCrawl) {
+            if (currentCrawl.pendingPage) {
+                currentCrawl.pendingPage.reject(new Error('Scan cancelled'));
+            }
+            currentCrawl = null;
+        }
+        
         // Update state
         isScanInProgress = false;
         currentScanSession = null;
         updateExtensionState({
             isScanning: false,
+            crawlProgress: null,
             lastStatus: { icon: 'X', message: 'Scan cancelled', type: 'warning' }
         });
         
@@ -253,12 +743,81 @@ function cancelCurrentScan() {
     }
 }
 
+// Page info (target name, creator, query, page number), null when the tab is not scriptable
+async function getPageInfoFromTab(tabId) {
+    try {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            function: extractPageInfoFromPage,
+            args: [selectorProfile.selectors]
+        });
+        
+        const pageInfo = results && results[0] && results[0].result ? results[0].result : null;
+        if (!pageInfo) return null;
+        
+        if (pageInfo.error) {
+            console.error('Page info extraction failed in the page:', pageInfo.error);
+        } else if (!pageInfo.creator && /\/users\//.test(pageInfo.pageUrl || '')) {
+            console.error('Page info found no creator on a user page:', pageInfo.pageUrl);
+        }
+        
+        // Folder names are cleaned here, the injected function cannot reach sanitizeFilename
+        return {
+            ...pageInfo,
+            targetName: sanitizeFilename(pageInfo.targetName),
+            targetID: sanitizeFilename(pageInfo.targetID)
+        };
+    } catch (error) {
+        console.log('Could not extract page info from tab:', error.message);
+        return null;
+    }
+}
+
+// Ask the content script to test every selector strategy on the current page
+async function runSelectorDiagnostics(tabId) {
+    const requestReport = () => chrome.tabs.sendMessage(tabId, { action: 'RUN_SELECTOR_DIAGNOSTICS' });
+    
+    try {
+        let response;
+        try {
+            response = await requestReport();
+        } catch (error) {
+            // Content script missing (tab opened before install), inject it and try once more
+            console.log('Diagnostics could not reach content script, injecting:', error.message);
+            await chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                files: ['selector-profile.js', 'content-script.js']
+            });
+            await sleep(500);
+            response = await requestReport();
+        }
+        
+        if (!response || response.error) {
+            return { error: response ? response.error : 'No response from page' };
+        }
+        
+        const stored = await chrome.storage.local.get([SELECTOR_PROFILE_STORAGE_KEY]);
+        return {
+            report: {
+                ...response.report,
+                extensionVersion: chrome.runtime.getManifest().version,
+                selectorProfileVersion: SELECTOR_PROFILE_VERSION,
+                selectorOverrides: stored[SELECTOR_PROFILE_STORAGE_KEY] || {}
+            }
+        };
+    } catch (error) {
+        console.error('Error running selector diagnostics:', error);
+        return { error: `Diagnostics failed: ${error.message}. Open a Pixabay page and try again.` };
+    }
+}
+
 async function getUserInfoFromPage(tabId) {
     try {
         // Inject script to extract user info from the current page
         const results = await chrome.scripting.executeScript({
             target: { tabId: tabId },
-            function: extractUserInfoFromPage
+            function: extractUserInfoFromPage,
+            args: [selectorProfile.selectors]
         });
         
         if (results && results[0] && results[0].result) {
@@ -280,7 +839,7 @@ async function getUserInfoFromPage(tabId) {
 }
 
 // Function to be injected into the page to extract user info with correct selectors
-function extractUserInfoFromPage() {
+function extractUserInfoFromPage(selectors) {
     try {
         // Extract username from URL
         const urlMatch = window.location.pathname.match(/\/users\/([^\/\?]+)/);
@@ -292,31 +851,30 @@ function extractUserInfoFromPage() {
         let userId = '';
         let isLoggedIn = false;
         
-        // Look for user avatar using the specific class you provided - use the SECOND instance
-        const avatarElements = document.querySelectorAll('.image--vdlQM');
-        console.log(`Found ${avatarElements.length} elements with class "image--vdlQM"`);
+        // Look for user avatar using the profile's avatar selector - use the SECOND instance
+        const avatarElements = document.querySelectorAll(selectors.userAvatar);
+        console.log(`Found ${avatarElements.length} elements matching "${selectors.userAvatar}"`);
         
         if (avatarElements.length >= 2) {
             // Use the second instance (index 1) as requested
             const avatarEl = avatarElements[1];
             if (avatarEl && avatarEl.src) {
                 userImageURL = avatarEl.src;
-                console.log(`Found avatar using second instance of .image--vdlQM selector`);
+                console.log(`Found avatar using second instance of ${selectors.userAvatar} selector`);
             }
         } else if (avatarElements.length === 1) {
             // Fallback to first if only one exists
             const avatarEl = avatarElements[0];
             if (avatarEl && avatarEl.src) {
                 userImageURL = avatarEl.src;
-                console.log(`Found avatar using first instance of .image--vdlQM selector`);
+                console.log(`Found avatar using first instance of ${selectors.userAvatar} selector`);
             }
         }
         
-        // Look for username using the specific class you provided
+        // Look for username using the profile's name selectors first
         const nameSelectors = [
-            '.h1--bZ6EI.L--opXRs', // Primary selector for user name
-            '.h1--bZ6EI',          // Fallback without second class
-            'h1.h1--bZ6EI',        // With h1 tag
+            selectors.userName,         // Primary selector for user name
+            selectors.userNameFallback, // Fallback without second class
             '.user-name',
             '.profile-name',
             'h1',
@@ -403,7 +961,8 @@ function extractUserInfoFromPage() {
 }
 
 // Function to extract page information and create organized folder structure
-function extractPageInfoFromPage() {
+// Runs in the page, where worker helpers like sanitizeFilename do not exist; getPageInfoFromTab cleans the names up
+function extractPageInfoFromPage(selectors) {
     try {
         const url = window.location.href;
         const pathname = window.location.pathname;
@@ -412,16 +971,20 @@ function extractPageInfoFromPage() {
         // Extract target information
         let targetName = 'unknown';
         let targetID = 'unknown';
+        let creator = '';
+        let query = '';
 
         // User page
         const userMatch = pathname.match(/\/users\/([^\/\?]+)/);
         if (userMatch) {
             targetName = userMatch[1];
             targetID = userMatch[1]; // Use username as ID if no numeric ID found
+            creator = decodeURIComponent(userMatch[1]).replace(/-\d+$/, '');
         } else {
             // Search page
             const searchMatch = pathname.match(/\/sounds\/?$/) || pathname.match(/\/audio-search\/?$/) || pathname.match(/\/sound-effects\/?$/);
             if (searchMatch && searchParams.has('q')) {
+                query = searchParams.get('q');
                 targetName = 'search_' + searchParams.get('q').replace(/\s+/g, '_').toLowerCase();
                 targetID = targetName;
             } else {
@@ -498,8 +1061,8 @@ function extractPageInfoFromPage() {
         let elementCount = 0;
         
         // Count sound effect elements using the same selectors as the scanner
-        const overlayContainers = document.querySelectorAll('.overlayContainer--0ZpHP.lazyImg--u6+yh');
-        const audioRows = document.querySelectorAll('.audioRow--nAm4Z');
+        const overlayContainers = document.querySelectorAll(selectors.audioCard);
+        const audioRows = document.querySelectorAll(selectors.audioRow);
         
         elementCount = Math.max(overlayContainers.length, audioRows.length);
         
@@ -535,11 +1098,14 @@ function extractPageInfoFromPage() {
         });
         
         return {
-            targetName: sanitizeFilename(targetName),
-            targetID: sanitizeFilename(targetID),
+            pageUrl: url,
+            targetName: targetName,
+            targetID: targetID,
             pageNumber: pageNumber,
             elementCount: elementCount,
-            elementRange: `${startElement}-${endElement}`
+            elementRange: `${startElement}-${endElement}`,
+            creator: creator,
+            query: query
         };
         
     } catch (error) {
@@ -549,7 +1115,10 @@ function extractPageInfoFromPage() {
             targetID: 'unknown',
             pageNumber: 1,
             elementCount: 0,
-            elementRange: '1-0'
+            elementRange: '1-0',
+            creator: '',
+            query: '',
+            error: error.message
         };
     }
 }
@@ -655,6 +1224,12 @@ async function handleSoundEffectsScan(request, tabId) {
             throw new Error('Tab is not accessible or has been closed');
         }
         
+        // Multi-page crawl follows pagination and collects every page into one list
+        if (request.crawl && request.crawl.enabled) {
+            await handleMultiPageCrawl(targetTabId, request.crawl);
+            return;
+        }
+        
         // Create new scan session
         currentScanSession = Date.now();
         isScanInProgress = true;
@@ -679,54 +1254,11 @@ async function handleSoundEffectsScan(request, tabId) {
         }, 45000);
         
         // Send message to content script to start scanning with retry logic
-        let communicationSuccess = false;
-        let retryCount = 0;
-        const maxRetries = 3;
-        
-        while (!communicationSuccess && retryCount < maxRetries) {
-            try {
-                updateExtensionState({
-                    lastStatus: { icon: 'Search', message: `Connecting to page... (attempt ${retryCount + 1})`, type: 'success' }
-                });
-                
-                await chrome.tabs.sendMessage(targetTabId, {
-                    action: 'SCAN_SOUND_EFFECTS'
-                });
-                
-                communicationSuccess = true;
-                console.log('Successfully communicated with content script');
-                
-            } catch (error) {
-                retryCount++;
-                console.log(`Communication attempt ${retryCount} failed:`, error.message);
-                
-                if (retryCount < maxRetries) {
-                    // Wait longer between retries to avoid Cloudflare detection
-                    const retryDelay = retryCount * 2000; // 2s, 4s, 6s delays
-                    console.log(`Retrying in ${retryDelay}ms...`);
-                    await sleep(retryDelay);
-                    
-                    // Try to inject content script if it's missing
-                    try {
-                        await chrome.scripting.executeScript({
-                            target: { tabId: targetTabId },
-                            files: ['content-script.js']
-                        });
-                        console.log('Re-injected content script');
-                        await sleep(1000); // Allow content script to initialize
-                    } catch (injectionError) {
-                        console.log('Could not re-inject content script:', injectionError.message);
-                    }
-                } else {
-                    clearTimeout(scanTimeout);
-                    throw new Error('Could not communicate with page after multiple attempts. The page may have changed or been refreshed. Please try refreshing the page and try again.');
-                }
-            }
-        }
-        
-        if (!communicationSuccess) {
+        try {
+            await sendScanRequestToTab(targetTabId);
+        } catch (error) {
             clearTimeout(scanTimeout);
-            throw new Error('Failed to establish communication with the page');
+            throw error;
         }
         
     } catch (error) {
@@ -741,12 +1273,376 @@ async function handleSoundEffectsScan(request, tabId) {
             action: 'SCANNING_ERROR',
             error: error.message
         });
+        notifyUser('errors', 'scan-error', 'Scan failed', error.message);
+    }
+}
+
+// Send the scan request to the content script, re-injecting it if the page does not answer
+async function sendScanRequestToTab(targetTabId) {
+    let communicationSuccess = false;
+    let retryCount = 0;
+    const maxRetries = 3;
+    
+    while (!communicationSuccess && retryCount < maxRetries) {
+        try {
+            updateExtensionState({
+                lastStatus: { icon: 'Search', message: `Connecting to page... (attempt ${retryCount + 1})`, type: 'success' }
+            });
+            
+            await chrome.tabs.sendMessage(targetTabId, {
+                action: 'SCAN_SOUND_EFFECTS'
+            });
+            
+            communicationSuccess = true;
+            console.log('Successfully communicated with content script');
+            
+        } catch (error) {
+            retryCount++;
+            console.log(`Communication attempt ${retryCount} failed:`, error.message);
+            
+            if (retryCount < maxRetries) {
+                // Wait longer between retries to avoid Cloudflare detection
+                const retryDelay = retryCount * 2000; // 2s, 4s, 6s delays
+                console.log(`Retrying in ${retryDelay}ms...`);
+                await sleep(retryDelay);
+                
+                // Try to inject content script if it's missing
+                try {
+                    await chrome.scripting.executeScript({
+                        target: { tabId: targetTabId },
+                        files: ['selector-profile.js', 'content-script.js']
+                    });
+                    console.log('Re-injected content script');
+                    await sleep(1000); // Allow content script to initialize
+                } catch (injectionError) {
+                    console.log('Could not re-inject content script:', injectionError.message);
+                }
+            } else {
+                throw new Error('Could not communicate with page after multiple attempts. The page may have changed or been refreshed. Please try refreshing the page and try again.');
+            }
+        }
+    }
+    
+    if (!communicationSuccess) {
+        throw new Error('Failed to establish communication with the page');
+    }
+}
+
+// Crawl every results page (or a chosen range) and merge the items into one deduplicated list
+async function handleMultiPageCrawl(targetTabId, crawlOptions) {
+    const startPage = Math.max(1, parseInt(crawlOptions.startPage) || 1);
+    const endPage = parseInt(crawlOptions.endPage) || null; // null = follow pagination to the end
+    
+    if (endPage && endPage < startPage) {
+        throw new Error(`Invalid page range: ${startPage}-${endPage}`);
+    }
+    
+    const crawlSession = Date.now();
+    currentScanSession = crawlSession;
+    isScanInProgress = true;
+    currentCrawl = {
+        session: crawlSession,
+        pendingPage: null
+    };
+    
+    const collectedItems = new Map(); // Keyed by sound ID for deduplication
+    let originalUrl = null;
+    let stopReason = null;
+    let wasCanceled = false;
+    
+    // A failing tab call must not leave a dead crawl behind, or a progress bar in the popup
+    try {
+        const originalTab = await chrome.tabs.get(targetTabId);
+        originalUrl = originalTab.url;
+        
+        let pageNumber = startPage;
+        let pageUrl = buildPageUrl(originalUrl, startPage);
+        let totalPages = null;
+        
+        updateExtensionState({
+            isScanning: true,
+            isDownloading: false,
+            currentTab: targetTabId,
+            crawlProgress: { page: pageNumber, startPage, endPage, totalPages, itemsFound: 0 },
+            lastStatus: { icon: 'Search', message: `Preparing to crawl from page ${startPage}...`, type: 'success' }
+        });
+        
+        console.log(`Starting multi-page crawl from page ${startPage} to ${endPage || 'last page'}`);
+        
+        while (isCrawlActive(crawlSession)) {
+            // Navigate to the next page unless we are already on it
+            const tab = await chrome.tabs.get(targetTabId);
+            if (tab.url !== pageUrl) {
+                console.log(`Crawl navigating to page ${pageNumber}: ${pageUrl}`);
+                await navigateTabAndWait(targetTabId, pageUrl);
+                await sleep(1500); // Let the content script initialize
+                
+                if (!isCrawlActive(crawlSession)) break;
+            }
+            
+            // Read pagination before scanning, the scanner scrolls the page
+            let pagination = null;
+            try {
+                const paginationResults = await chrome.scripting.executeScript({
+                    target: { tabId: targetTabId },
+                    function: extractPaginationInfoFromPage
+                });
+                
+                if (paginationResults && paginationResults[0] && paginationResults[0].result) {
+                    pagination = paginationResults[0].result;
+                    if (pagination.totalPages) {
+                        totalPages = pagination.totalPages;
+                    }
+                }
+            } catch (error) {
+                console.error('Error extracting pagination info:', error);
+            }
+            
+            const displayTotal = endPage || totalPages || '?';
+            updateExtensionState({
+                crawlProgress: { page: pageNumber, startPage, endPage, totalPages, itemsFound: collectedItems.size },
+                lastStatus: { icon: 'Search', message: `Scanning page ${pageNumber} of ${displayTotal}...`, type: 'success' }
+            });
+            sendMessageToPopup({
+                action: 'CRAWL_PROGRESS',
+                page: pageNumber,
+                totalPages: endPage || totalPages,
+                itemsFound: collectedItems.size
+            });
+            
+            let pageItems;
+            try {
+                pageItems = await scanCrawlPage(targetTabId);
+            } catch (error) {
+                stopReason = `Crawl stopped at page ${pageNumber}: ${error.message}`;
+                console.error(stopReason);
+                break;
+            }
+            
+            let newItemCount = 0;
+            for (const item of pageItems) {
+                if (!collectedItems.has(item.id)) {
+                    collectedItems.set(item.id, { ...item, pageNumber: pageNumber });
+                    newItemCount++;
+                }
+            }
+            
+            console.log(`Crawl page ${pageNumber}: ${pageItems.length} items, ${newItemCount} new (${collectedItems.size} total)`);
+            
+            sendMessageToPopup({
+                action: 'CRAWL_PROGRESS',
+                page: pageNumber,
+                totalPages: endPage || totalPages,
+                itemsFound: collectedItems.size,
+                pageItemCount: pageItems.length
+            });
+            
+            // Decide whether there is another page to visit
+            if (endPage && pageNumber >= endPage) break;
+            if (totalPages && pageNumber >= totalPages) break;
+            if (pageItems.length === 0 || newItemCount === 0) {
+                console.log(`No new items on page ${pageNumber}, assuming last page reached`);
+                break;
+            }
+            
+            const nextPageUrl = (pagination && pagination.nextPageUrl) || buildPageUrl(pageUrl, pageNumber + 1);
+            if (!nextPageUrl || nextPageUrl === pageUrl) break;
+            
+            pageNumber++;
+            pageUrl = nextPageUrl;
+            
+            // Space out page loads like downloads to avoid Cloudflare detection
+            await waitForRequestSlot(`page ${pageNumber}`);
+        }
+        
+        wasCanceled = !isCrawlActive(crawlSession);
+    } finally {
+        currentCrawl = null;
+        updateExtensionState({ crawlProgress: null });
+    }
+    
+    if (wasCanceled) {
+        console.log('Multi-page crawl canceled');
+        return;
+    }
+    
+    // Return the user to the page they started from
+    try {
+        const tab = await chrome.tabs.get(targetTabId);
+        if (tab.url !== originalUrl) {
+            await navigateTabAndWait(targetTabId, originalUrl);
+        }
+    } catch (error) {
+        console.log(`Could not navigate back to original page: ${error.message}`);
+    }
+    
+    handleSoundEffectsExtracted({ items: Array.from(collectedItems.values()) }, targetTabId);
+    
+    if (stopReason && collectedItems.size > 0) {
+        updateExtensionState({
+            lastStatus: { icon: '!', message: `${stopReason}. Kept ${collectedItems.size} sound effects.`, type: 'warning' }
+        });
+    }
+}
+
+function isCrawlActive(crawlSession) {
+    return isScanInProgress && currentCrawl !== null && currentCrawl.session === crawlSession;
+}
+
+// Scan the page currently loaded in the tab and wait for the content script's results
+function scanCrawlPage(tabId) {
+    return new Promise((resolve, reject) => {
+        const pageTimeout = setTimeout(() => {
+            if (currentCrawl) currentCrawl.pendingPage = null;
+            reject(new Error('Page scan timed out'));
+        }, 45000);
+        
+        currentCrawl.pendingPage = {
+            resolve: (items) => {
+                clearTimeout(pageTimeout);
+                resolve(items);
+            },
+            reject: (error) => {
+                clearTimeout(pageTimeout);
+                reject(error);
+            }
+        };
+        
+        sendScanRequestToTab(tabId).catch((error) => {
+            if (currentCrawl && currentCrawl.pendingPage) {
+                currentCrawl.pendingPage.reject(error);
+                currentCrawl.pendingPage = null;
+            }
+        });
+    });
+}
+
+// Build a results page URL for the given page number using Pixabay's pagination parameter
+function buildPageUrl(baseUrl, pageNumber) {
+    try {
+        const url = new URL(baseUrl);
+        const paramName = url.searchParams.has('page') ? 'page' : 'pagi';
+        
+        if (pageNumber > 1) {
+            url.searchParams.set(paramName, pageNumber.toString());
+        } else {
+            url.searchParams.delete(paramName);
+        }
+        
+        return url.href;
+    } catch (error) {
+        console.error('Error building page URL:', error);
+        return null;
+    }
+}
+
+// Navigate a tab and resolve once it has finished loading
+function navigateTabAndWait(tabId, url, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+        const listener = (updatedTabId, changeInfo) => {
+            if (updatedTabId === tabId && changeInfo.status === 'complete') {
+                clearTimeout(loadTimeout);
+                chrome.tabs.onUpdated.removeListener(listener);
+                resolve(true);
+            }
+        };
+        
+        const loadTimeout = setTimeout(() => {
+            chrome.tabs.onUpdated.removeListener(listener);
+            console.log(`Timed out waiting for ${url} to load`);
+            resolve(false);
+        }, timeout);
+        
+        chrome.tabs.onUpdated.addListener(listener);
+        chrome.tabs.update(tabId, { url: url }).catch((error) => {
+            clearTimeout(loadTimeout);
+            chrome.tabs.onUpdated.removeListener(listener);
+            reject(error);
+        });
+    });
+}
+
+// Function to be injected into the page to read pagination state
+function extractPaginationInfoFromPage() {
+    try {
+        const url = new URL(window.location.href);
+        const pageParam = url.searchParams.get('pagi') || url.searchParams.get('page');
+        const currentPage = pageParam && /^\d+$/.test(pageParam) ? parseInt(pageParam) : 1;
+        
+        // Look for an explicit next-page link
+        let nextPageUrl = null;
+        const nextSelectors = [
+            'link[rel="next"]',
+            'a[rel="next"]',
+            'a[aria-label*="next" i]',
+            'a[class*="next" i]'
+        ];
+        
+        for (const selector of nextSelectors) {
+            const element = document.querySelector(selector);
+            if (element && element.href) {
+                nextPageUrl = element.href;
+                break;
+            }
+        }
+        
+        // Work out the total page count from pagination links and "1 / 25" style labels
+        let totalPages = null;
+        const pageLinks = document.querySelectorAll('a[href*="pagi="], a[href*="page="]');
+        pageLinks.forEach(link => {
+            try {
+                const linkUrl = new URL(link.href);
+                const linkPage = parseInt(linkUrl.searchParams.get('pagi') || linkUrl.searchParams.get('page'));
+                if (linkPage && (!totalPages || linkPage > totalPages)) {
+                    totalPages = linkPage;
+                }
+            } catch (error) {
+                // Ignore malformed links
+            }
+        });
+        
+        const paginationElements = document.querySelectorAll('[class*="pagination" i], nav[aria-label*="pagination" i]');
+        for (const element of paginationElements) {
+            const match = (element.textContent || '').match(/\/\s*(\d+)/);
+            if (match) {
+                const labelTotal = parseInt(match[1]);
+                if (!totalPages || labelTotal > totalPages) {
+                    totalPages = labelTotal;
+                }
+                break;
+            }
+        }
+        
+        console.log('Extracted pagination info:', { currentPage, totalPages, nextPageUrl });
+        
+        return {
+            currentPage: currentPage,
+            totalPages: totalPages,
+            nextPageUrl: nextPageUrl
+        };
+    } catch (error) {
+        console.error('Error extracting pagination info:', error);
+        return { currentPage: 1, totalPages: null, nextPageUrl: null };
     }
 }
 
 function handleSoundEffectsExtracted(message, tabId) {
     const { items } = message;
     
+    // Results from a watchlist check's background tab never touch the popup's list
+    if (pendingTabScans.has(tabId)) {
+        pendingTabScans.get(tabId).resolve(items || []);
+        return;
+    }
+    
+    // Route per-page results to an active multi-page crawl
+    if (currentCrawl && currentCrawl.pendingPage) {
+        const pendingPage = currentCrawl.pendingPage;
+        currentCrawl.pendingPage = null;
+        pendingPage.resolve(items || []);
+        return;
+    }
+    
     console.log(`Sound effects extracted: ${items.length} items` );
     
     // Clear scan session
@@ -760,6 +1656,7 @@ function handleSoundEffectsExtracted(message, tabId) {
     updateExtensionState({
         isScanning: false,
         scannedItems: items,
+        itemSelection: null,
         lastStatus: items.length > 0 
             ? { icon: 'Check', message: `Found ${items.length} sound effects`, type: 'success' }
             : { icon: '!', message: 'No sound effects found on this page', type: 'warning' }
@@ -779,9 +1676,105 @@ function handleSoundEffectsExtracted(message, tabId) {
     }
 }
 
+// Turn imported URLs or IDs into item objects shaped like scan results
+function handleImportSoundItems(entries) {
+    const items = [];
+    const rejected = [];
+    const seenIds = new Set();
+    
+    (entries || []).forEach((entry, index) => {
+        const item = normalizeImportedEntry(entry, index);
+        if (!item) {
+            rejected.push(typeof entry === 'object' && entry !== null ? (entry.url || entry.id || '') : String(entry));
+            return;
+        }
+        if (seenIds.has(item.id)) {
+            return;
+        }
+        seenIds.add(item.id);
+        items.push(item);
+    });
+    
+    console.log(`Imported ${items.length} sound effects, rejected ${rejected.length} entries`);
+    
+    if (items.length > 0) {
+        // Imported items replace the scan results, just like a fresh scan
+        scannedSoundEffects = items;
+        updateExtensionState({
+            scannedItems: items,
+            itemSelection: null,
+            lastStatus: { icon: 'Check', message: `Imported ${items.length} sound effects`, type: 'success' }
+        });
+    }
+    
+    return { items: items, rejected: rejected };
+}
+
+// Same individual-page rules as extractSoundEffectOptimized in content-script.js
+function normalizeImportedEntry(entry, index) {
+    const source = typeof entry === 'object' && entry !== null ? entry : { url: entry };
+    const rawValue = String(source.url || source.id || '').trim();
+    if (!rawValue) return null;
+    
+    // A broken URL column can still be rescued by the ID column
+    if (source.url && source.id && String(source.id).trim() !== rawValue) {
+        const fromUrl = normalizeImportedEntry({ ...source, id: '' }, index);
+        return fromUrl || normalizeImportedEntry({ ...source, url: '' }, index);
+    }
+    
+    let itemUrl;
+    let itemId;
+    
+    if (/^\d+$/.test(rawValue)) {
+        // Bare numeric ID, construct the individual page URL the scanner would
+        itemId = rawValue;
+        itemUrl = `https://pixabay.com/music/id-${itemId}/`;
+    } else {
+        try {
+            const url = new URL(rawValue);
+            if (!url.hostname.endsWith('pixabay.com')) return null;
+            itemUrl = url.href;
+        } catch (error) {
+            return null;
+        }
+        
+        // Skip image URLs and user profiles
+        if (itemUrl.includes('/photo/') || 
+            itemUrl.includes('/illustration/') || 
+            itemUrl.includes('/vector/') ||
+            itemUrl.includes('/users/')) {
+            return null;
+        }
+        
+        // ID from /12345/ or from a slug ending in -12345/
+        const idMatch = itemUrl.match(/\/(\d+)(?:\/|$|\?)/) || itemUrl.match(/-(\d+)\/?(?:$|\?)/);
+        if (!idMatch) return null;
+        itemId = idMatch[1];
+        
+        // Profile and listing pages are not downloadable, fall back to the constructed page URL
+        if (!isIndividualSoundPageUrl(itemUrl) && !/-\d+\/?(?:$|\?)/.test(itemUrl)) {
+            itemUrl = `https://pixabay.com/music/id-${itemId}/`;
+        }
+    }
+    
+    const title = source.title ? String(source.title).replace(/\s+/g, ' ').trim().substring(0, 100) : '';
+    
+    return {
+        id: itemId,
+        title: title || `Sound Effect ${itemId}`,
+        downloadUrl: itemUrl,
+        previewUrl: source.previewUrl || '',
+        pageUrl: itemUrl,
+        profileUrl: source.profileUrl || '',
+        extractedAt: new Date().toISOString(),
+        containerIndex: index,
+        imported: true
+    };
+}
+
 // Handle explicit download start request
 async function handleStartDownload(request, tabId) {
-    const { tabId: requestTabId, items } = request;
+    const { tabId: requestTabId, items, forceRedownload, pageInfo } = request;
     const targetTabId = requestTabId || tabId;
 
     // Use items from request if provided, otherwise fallback to scannedSoundEffects
@@ -802,19 +1795,61 @@ async function handleStartDownload(request, tabId) {
     console.log(`Starting download of ${soundEffectsToDownload.length} sound effects`);
 
     // Update state
+    // Starting a new batch replaces any interrupted one
     updateExtensionState({
         isDownloading: true,
         isPaused: false,
+        resumableJob: null,
         currentProgress: { current: 0, total: soundEffectsToDownload.length },
         lastStatus: { icon: 'Arrow', message: 'Starting download process...', type: 'success' }
     });
 
-    await startSoundEffectsDownload(soundEffectsToDownload, targetTabId);
+    await startSoundEffectsDownload(soundEffectsToDownload, targetTabId, { forceRedownload: !!forceRedownload, pageInfo: pageInfo || null });
+}
+
+// Start a new batch with just the items that failed last time
+async function retryFailedDownloads(request, tabId) {
+    const failures = extensionState.failedDownloads || [];
+    
+    if (failures.length === 0) {
+        sendMessageToPopup({
+            action: 'DOWNLOAD_ERROR',
+            error: 'No failed downloads to retry'
+        });
+        return;
+    }
+    
+    // Prefer the full scanned item so every download method is available again
+    const items = failures.map(failure => {
+        const scannedItem = scannedSoundEffects.find(item => String(item.id) === String(failure.id));
+        return scannedItem || {
+            id: failure.id,
+            title: failure.title,
+            pageUrl: failure.pageUrl,
+            downloadUrl: failure.pageUrl
+        };
+    });
+    
+    console.log(`Retrying ${items.length} failed downloads`);
+    await handleStartDownload({ tabId: request.tabId, items: items }, tabId);
 }
 
-function handleScanningError(message) {
+function handleScanningError(message, tabId) {
     console.error('Scanning error:', message.error);
     
+    if (pendingTabScans.has(tabId)) {
+        pendingTabScans.get(tabId).reject(new Error(message.error));
+        return;
+    }
+    
+    // A failed page ends the crawl but keeps what was already collected
+    if (currentCrawl && currentCrawl.pendingPage) {
+        const pendingPage = currentCrawl.pendingPage;
+        currentCrawl.pendingPage = null;
+        pendingPage.reject(new Error(message.error));
+        return;
+    }
+    
     // Clear scan session
     isScanInProgress = false;
     currentScanSession = null;
@@ -830,20 +1865,43 @@ function handleScanningError(message) {
         action: 'SCANNING_ERROR',
         error: message.error
     });
+    notifyUser('errors', 'scan-error', 'Scan failed', message.error);
 }
 
-async function startSoundEffectsDownload(soundEffects, tabId) {
+async function startSoundEffectsDownload(soundEffects, tabId, options = {}) {
+    const { forceRedownload = false, resumeJob = null, pageInfo: knownPageInfo = null } = options;
+    
     // Reset download control flags
     isDownloadPaused = false;
     isDownloadCanceled = false;
     currentDownloadSession = Date.now();
     downloadQueue = soundEffects;
     
+    // Persist the job so it can be resumed if the worker goes away mid-batch
+    interruptedJob = null;
+    downloadJob = {
+        session: currentDownloadSession,
+        tabId: tabId,
+        items: soundEffects,
+        statuses: resumeJob ? [...resumeJob.statuses] : soundEffects.map(() => 'pending'),
+        forceRedownload: forceRedownload,
+        folderName: resumeJob ? resumeJob.folderName : null,
+        downloadedCount: resumeJob ? resumeJob.downloadedCount || 0 : 0,
+        skippedCount: resumeJob ? resumeJob.skippedCount || 0 : 0,
+        failures: resumeJob ? resumeJob.failures || [] : [],
+        isPaused: false
+    };
+    await persistDownloadJob();
+    updateExtensionState({ failedDownloads: downloadJob.failures });
+    publishRequestRate();
+    
     try {
-        const totalCount = soundEffects.length;
-        let downloadedCount = 0;
+        let downloadedCount = downloadJob.downloadedCount;
+        let skippedCount = downloadJob.skippedCount;
+        let failedCount = downloadJob.failures.length;
+        const startIndex = resumeJob ? Math.max(0, getFirstUnfinishedIndex(resumeJob)) : 0;
         
-        console.log(`Starting download of ${totalCount} sound effects with anti-Cloudflare measures`);
+        console.log(`Starting download of ${soundEffects.length} sound effects with anti-Cloudflare measures`);
         
         // Check if auto-like is enabled
         const autoLikeEnabled = await getAutoLikeSetting();
@@ -866,20 +1924,16 @@ async function startSoundEffectsDownload(soundEffects, tabId) {
             }
         }
         
-        // Extract page information for organized folder structure
-        let pageInfo = null;
-        try {
-            const pageInfoResults = await chrome.scripting.executeScript({
-                target: { tabId: tabId },
-                function: extractPageInfoFromPage
-            });
-            
-            if (pageInfoResults && pageInfoResults[0] && pageInfoResults[0].result) {
-                pageInfo = pageInfoResults[0].result;
+        // Extract page information for organized folder structure (watchlist batches bring their own)
+        let pageInfo = knownPageInfo;
+        if (pageInfo) {
+            downloadPageInfo = pageInfo;
+        } else {
+            pageInfo = await getPageInfoFromTab(tabId);
+            if (pageInfo) {
                 console.log('Extracted page info for folder structure:', pageInfo);
             }
-        } catch (error) {
-            console.error('Error extracting page info:', error);
+            downloadPageInfo = pageInfo;
         }
         
         // Auto-like ALL sound effects at once if enabled and user is logged in
@@ -888,7 +1942,8 @@ async function startSoundEffectsDownload(soundEffects, tabId) {
             try {
                 await chrome.scripting.executeScript({
                     target: { tabId: tabId },
-                    function: clickAllLikeButtons
+                    function: clickAllLikeButtons,
+                    args: [selectorProfile.selectors]
                 });
                 console.log('Completed liking all sound effects');
                 
@@ -905,11 +1960,14 @@ async function startSoundEffectsDownload(soundEffects, tabId) {
         // Notify that download is starting
         sendMessageToPopup({
             action: 'DOWNLOAD_STARTED',
-            count: totalCount
+            count: soundEffects.length
         });
         
         // Create organized folder structure based on page info and configuration
-        let folderName = getFolderPath(pageInfo);
+        // A resumed job keeps the folder it started with, the tab may now show another page
+        let folderName = downloadJob.folderName || getFolderPath(pageInfo);
+        downloadJob.folderName = folderName;
+        await persistDownloadJob();
         
         console.log(`Using configured folder structure: ${folderName}`);
         console.log('Configuration applied:', downloadConfig);
@@ -917,40 +1975,94 @@ async function startSoundEffectsDownload(soundEffects, tabId) {
         // Enhanced folder creation testing
         let folderWorking = true;
         let folderTestResult = null;
+        let folderTestReady = null; // Resolves once the first download has tested folder support
         
-        for (let i = 0; i < soundEffects.length; i++) {
-            // Check for cancel/pause
-            if (isDownloadCanceled) {
-                console.log('Download canceled by user');
-                break;
+        // Worker pool: items resolving to a direct CDN URL download in parallel,
+        // tab-bound steps stay serialized through runTabTask
+        const concurrency = Math.max(1, parseInt(downloadConfig.downloadConcurrency) || 1);
+        const preferDirectUrl = concurrency > 1;
+        let nextItemIndex = startIndex;
+        
+        const reportProgress = () => {
+            updateExtensionState({
+                currentProgress: { current: downloadedCount, total: soundEffects.length, skipped: skippedCount, failed: failedCount },
+                failedDownloads: downloadJob.failures,
+                lastStatus: { icon: 'Download', message: `Downloaded ${downloadedCount}/${soundEffects.length} files`, type: 'success' }
+            });
+            sendMessageToPopup({
+                action: 'UPDATE_PROGRESS',
+                current: downloadedCount,
+                total: soundEffects.length,
+                skipped: skippedCount,
+                failed: failedCount
+            });
+        };
+        
+        const markDownloadFailed = async (i, usedFolderStructure, reason, attempts) => {
+            const soundEffect = soundEffects[i];
+            failedCount++;
+            downloadJob.failures.push({
+                id: soundEffect.id,
+                title: soundEffect.title,
+                pageUrl: soundEffect.pageUrl || soundEffect.downloadUrl || null,
+                error: reason,
+                errorClass: classifyDownloadError(reason),
+                attempts: attempts,
+                failedAt: new Date().toISOString()
+            });
+            await recordLedgerEntry(soundEffect, folderName, usedFolderStructure, 'failed', reason);
+            await setJobItemStatus(i, 'failed');
+            reportProgress();
+        };
+        
+        // Count the item only once Chrome reports the file complete; resolves to the failure reason, if any
+        // Native (button click) downloads get their sidecar here, once Chrome knows the file Pixabay named
+        const settleDownload = async (i, usedFolderStructure, isNativeDownload) => {
+            const soundEffect = soundEffects[i];
+            const completion = await waitForTrackedDownload(soundEffect.id);
+            
+            // Forbidden or failing file servers count as push-back too
+            if (completion.state === 'interrupted' && classifyDownloadError(completion.error) === 'server') {
+                slowDownRequests(completion.error, null);
+            } else if (completion.state === 'complete') {
+                speedUpRequests();
             }
             
-            while (isDownloadPaused) {
-                await sleep(500);
-                if (isDownloadCanceled) break;
+            if (completion.state === 'interrupted') {
+                console.log(`Download of ${soundEffect.id} was interrupted: ${completion.error}`);
+                return completion.error;
             }
             
-            if (isDownloadCanceled) break;
+            if (isNativeDownload) {
+                await writeNativeDownloadSidecar(soundEffect, completion.downloadId);
+            }
             
+            downloadedCount++;
+            downloadJob.downloadedCount = downloadedCount;
+            await recordLedgerEntry(soundEffect, folderName, usedFolderStructure, 'success');
+            await setJobItemStatus(i, 'done');
+            reportProgress();
+            return null;
+        };
+        
+        // One download attempt; resolves to null on success or { reason, usedFolderStructure }
+        // The first download calls finishFolderTest as soon as Chrome accepted or refused its filename,
+        // so the other workers start before that file has finished
+        const attemptSoundEffect = async (i, isFirstDownload, finishFolderTest) => {
             const soundEffect = soundEffects[i];
             
             try {
-                // Apply configured download delay
-                const configuredDelay = downloadConfig.downloadDelay * 1000; // Convert to milliseconds
-                const randomDelay = Math.random() * 1000; // Random 0-1 seconds
-                const totalDelay = configuredDelay + randomDelay;
-                
-                console.log(`Waiting ${Math.round(totalDelay)}ms before downloading ${soundEffect.id} (configured delay: ${downloadConfig.downloadDelay}s)`);
-                await sleep(totalDelay);
+                // Apply configured download delay, shared across all workers
+                await waitForRequestSlot(soundEffect.id);
                 
                 // Update status to show which file is being processed
                 updateExtensionState({
-                    lastStatus: { icon: 'Download', message: `Downloading ${i + 1}/${totalCount}: ${soundEffect.title}`, type: 'success' }
+                    lastStatus: { icon: 'Download', message: `Downloading ${i + 1}/${soundEffects.length}: ${soundEffect.title}`, type: 'success' }
                 });
                 
                 // Test folder structure on first download, then use result for all subsequent downloads
                 let useFolderStructure = folderWorking;
-                if (i === 0) {
+                if (isFirstDownload) {
                     // First download - test folder capability
                     console.log('Testing folder creation capability with first download...');
                     useFolderStructure = true;
@@ -960,10 +2072,10 @@ async function startSoundEffectsDownload(soundEffects, tabId) {
                     console.log(`Using flat structure based on first download test result`);
                 }
                 
-                const result = await downloadSoundEffect(soundEffect, folderName, tabId, useFolderStructure, i);
+                const result = await downloadSoundEffect(soundEffect, folderName, tabId, useFolderStructure, i, preferDirectUrl);
                 
                 // Store the result from first download to apply to all subsequent downloads
-                if (i === 0) {
+                if (isFirstDownload) {
                     folderTestResult = result;
                     if (result === 'FOLDER_STRUCTURE_FAILED') {
                         console.log('First download test failed - folder structure not supported. Using flat structure for remaining downloads.');
@@ -972,56 +2084,153 @@ async function startSoundEffectsDownload(soundEffects, tabId) {
                         console.log('First download test successful - folder structure supported. Using folders for remaining downloads.');
                         folderWorking = true;
                     }
+                    finishFolderTest();
                 }
                 
-                // Count as successful download regardless of folder structure
+                // Started regardless of folder structure, now wait for Chrome to finish the file
                 if (result === 'FOLDER_STRUCTURE_FAILED' || result === 'NATIVE_DOWNLOAD_TRIGGERED' || result === 'OPENED_IN_NEW_TAB' || typeof result === 'number') {
-                    downloadedCount++;
+                    const usedFolderStructure = result === 'FOLDER_STRUCTURE_FAILED' ? false : useFolderStructure;
+                    const reason = await settleDownload(i, usedFolderStructure, result === 'NATIVE_DOWNLOAD_TRIGGERED');
+                    return reason ? { reason: reason, usedFolderStructure: usedFolderStructure } : null;
                 }
-                
-                // Update progress and state
-                updateExtensionState({
-                    currentProgress: { current: downloadedCount, total: totalCount },
-                    lastStatus: { icon: 'Download', message: `Downloaded ${downloadedCount}/${totalCount} files`, type: 'success' }
-                });
-                
-                sendMessageToPopup({
-                    action: 'UPDATE_PROGRESS',
-                    current: downloadedCount,
-                    total: totalCount
-                });
+                return { reason: 'NO_DOWNLOAD_STARTED', usedFolderStructure: useFolderStructure };
                 
             } catch (error) {
                 console.error(`Failed to download ${soundEffect.id}:`, error);
                 
                 // If this is the first download and it's a folder-related error, disable folder structure
-                if (i === 0 && (error.message.includes('path') || error.message.includes('folder') || error.message.includes('directory'))) {
+                if (isFirstDownload && (error.message.includes('path') || error.message.includes('folder') || error.message.includes('directory'))) {
                     console.log('First download failed due to folder issues - disabling folder structure for all downloads');
                     folderWorking = false;
                     folderTestResult = 'FOLDER_STRUCTURE_FAILED';
+                    finishFolderTest();
                     
                     // Retry this download with flat structure
                     try {
                         console.log(`Retrying first download with flat structure...`);
                         await sleep(1000); // Brief delay before retry
-                        const retryResult = await downloadSoundEffect(soundEffect, folderName, tabId, false, i);
-                        if (retryResult) {
-                            downloadedCount++;
+                        const retryResult = await downloadSoundEffect(soundEffect, folderName, tabId, false, i, preferDirectUrl);
+                        if (!retryResult) {
+                            return { reason: 'NO_DOWNLOAD_STARTED', usedFolderStructure: false };
                         }
+                        const reason = await settleDownload(i, false, retryResult === 'NATIVE_DOWNLOAD_TRIGGERED');
+                        return reason ? { reason: reason, usedFolderStructure: false } : null;
                     } catch (retryError) {
                         console.error(`Retry also failed for ${soundEffect.id}:`, retryError);
+                        return { reason: retryError.message, usedFolderStructure: false };
                     }
-                } else {
-                    // For subsequent downloads or non-folder errors, just continue
-                    console.log(`Skipping ${soundEffect.id} due to error, continuing with next file`);
                 }
+                
+                return { reason: error.message, usedFolderStructure: folderWorking };
             }
+        };
+        
+        const processSoundEffect = async (i) => {
+            const soundEffect = soundEffects[i];
+            
+            // Items finished before an interruption are not processed again
+            if (isFinishedJobStatus(downloadJob.statuses[i])) {
+                return;
+            }
+            
+            // Skip sounds the ledger says we already have, unless this run forces re-download
+            if (!forceRedownload && isLedgerKey(soundEffect.id)) {
+                const ledgerEntry = await getLedgerEntry(soundEffect.id);
+                if (ledgerEntry && ledgerEntry.result === 'success') {
+                    skippedCount++;
+                    downloadJob.skippedCount = skippedCount;
+                    await setJobItemStatus(i, 'skipped');
+                    console.log(`Skipping ${soundEffect.id} - already downloaded on ${ledgerEntry.downloadedAt}`);
+                    
+                    updateExtensionState({
+                        currentProgress: { current: downloadedCount, total: soundEffects.length, skipped: skippedCount, failed: failedCount }
+                    });
+                    sendMessageToPopup({
+                        action: 'UPDATE_PROGRESS',
+                        current: downloadedCount,
+                        total: soundEffects.length,
+                        skipped: skippedCount,
+                        failed: failedCount
+                    });
+                    return;
+                }
+            }
+            
+            // The first attempted download doubles as the folder structure test,
+            // other workers wait for its result before downloading
+            const isFirstDownload = folderTestReady === null;
+            let finishFolderTest = null;
+            if (isFirstDownload) {
+                folderTestReady = new Promise(resolve => { finishFolderTest = resolve; });
+            } else {
+                await folderTestReady;
+            }
+            await setJobItemStatus(i, 'in-progress');
+            
+            for (let attempt = 1; ; attempt++) {
+                let failure;
+                try {
+                    failure = await attemptSoundEffect(i, isFirstDownload && attempt === 1, finishFolderTest);
+                } finally {
+                    // Attempts that failed before the test settled; other workers never wait for our retries
+                    if (finishFolderTest) finishFolderTest();
+                }
+                
+                if (!failure) return;
+                
+                if (isDownloadCanceled || !shouldRetryDownload(failure.reason, attempt)) {
+                    console.log(`Giving up on ${soundEffect.id} after ${attempt} attempt(s): ${failure.reason}`);
+                    await markDownloadFailed(i, failure.usedFolderStructure, failure.reason, attempt);
+                    return;
+                }
+                
+                const retryDelay = getRetryDelay(attempt);
+                console.log(`Attempt ${attempt} for ${soundEffect.id} failed (${failure.reason}), retrying in ${Math.round(retryDelay / 1000)}s`);
+                updateExtensionState({
+                    lastStatus: { icon: '!', message: `Retrying ${soundEffect.title} in ${Math.round(retryDelay / 1000)}s (${failure.reason})`, type: 'warning' }
+                });
+                
+                // Back off, but let a cancel end the wait early
+                const retryAt = Date.now() + retryDelay;
+                while (Date.now() < retryAt && !isDownloadCanceled) {
+                    await sleep(Math.min(500, retryAt - Date.now()));
+                }
+            }
+        };
+        
+        const downloadWorker = async () => {
+            while (nextItemIndex < soundEffects.length) {
+                // Check for cancel/pause
+                if (isDownloadCanceled) break;
+                
+                while (isDownloadPaused) {
+                    await sleep(500);
+                    if (isDownloadCanceled) break;
+                }
+                
+                if (isDownloadCanceled) break;
+                
+                const i = nextItemIndex++;
+                if (i >= soundEffects.length) break;
+                
+                await processSoundEffect(i);
+            }
+        };
+        
+        const workerCount = Math.min(concurrency, Math.max(1, soundEffects.length - startIndex));
+        console.log(`Downloading with ${workerCount} worker(s)`);
+        await Promise.all(Array.from({ length: workerCount }, () => downloadWorker()));
+        
+        if (isDownloadCanceled) {
+            console.log('Download canceled by user');
         }
         
         // Update final state
+        const skippedText = skippedCount > 0 ? ` ${skippedCount} already downloaded, skipped.` : '';
+        const failedText = failedCount > 0 ? ` ${failedCount} failed.` : '';
         const finalStatus = isDownloadCanceled 
-            ? { icon: 'X', message: `Download canceled. ${downloadedCount || 0} files downloaded.`, type: 'error' }
-            : { icon: 'Check', message: `Download complete! ${downloadedCount} sound effects downloaded.`, type: 'success' };
+            ? { icon: 'X', message: `Download canceled. ${downloadedCount || 0} files downloaded.${skippedText}${failedText}`, type: 'error' }
+            : { icon: failedCount > 0 ? '!' : 'Check', message: `Download complete! ${downloadedCount} sound effects downloaded.${skippedText}${failedText}`, type: failedCount > 0 ? 'warning' : 'success' };
             
         updateExtensionState({
             isDownloading: false,
@@ -1029,30 +2238,62 @@ async function startSoundEffectsDownload(soundEffects, tabId) {
             lastStatus: finalStatus
         });
         
+        // The batch ran to its end (or was canceled on purpose), nothing left to resume
+        await clearPersistedDownloadJob();
+        
         // Notify completion or cancellation
         if (isDownloadCanceled) {
             sendMessageToPopup({
                 action: 'DOWNLOAD_CANCELED',
-                count: downloadedCount
+                count: downloadedCount,
+                skipped: skippedCount,
+                failed: failedCount,
+                failures: extensionState.failedDownloads
             });
         } else {
             sendMessageToPopup({
                 action: 'DOWNLOAD_COMPLETE',
-                count: downloadedCount
+                count: downloadedCount,
+                skipped: skippedCount,
+                failed: failedCount,
+                failures: extensionState.failedDownloads
             });
+            notifyUser('batchComplete', 'batch-complete', failedCount > 0 ? 'Download finished with failures' : 'Download complete',
+                `${downloadedCount} downloaded, ${failedCount} failed, ${skippedCount} skipped`);
         }
         
     } catch (error) {
         console.error('Download error:', error);
+        
+        // Keep the job around so the unfinished items can be resumed
+        if (downloadJob) {
+            await persistDownloadJob();
+            interruptedJob = downloadJob;
+            downloadJob = null;
+        }
+        
+        const resumableJob = interruptedJob && getFirstUnfinishedIndex(interruptedJob) !== -1 ? {
+            total: interruptedJob.items.length,
+            finished: interruptedJob.statuses.filter(isFinishedJobStatus).length,
+            nextIndex: getFirstUnfinishedIndex(interruptedJob),
+            updatedAt: interruptedJob.updatedAt
+        } : null;
+        
         updateExtensionState({
             isDownloading: false,
             isPaused: false,
+            resumableJob: resumableJob,
             lastStatus: { icon: 'X', message: `Error: ${error.message}`, type: 'error' }
         });
         sendMessageToPopup({
             action: 'DOWNLOAD_ERROR',
             error: error.message
         });
+        notifyUser('errors', 'download-error', 'Download stopped', resumableJob
+            ? `${error.message}. Open the extension to resume.`
+            : error.message);
+    } finally {
+        await closeDownloadWorkerTab();
     }
 }
 
@@ -1120,8 +2361,8 @@ async function chromeDownloadFile(url, filename) {
     return new Promise((resolve, reject) => {
         console.log(`Chrome Downloads API: Downloading "${filename}" from ${url}`);
         
-        // Validate URL before attempting download
-        if (!url || !url.startsWith('http')) {
+        // Validate URL before attempting download (data: URLs are used for metadata sidecars)
+        if (!url || !(url.startsWith('http') || url.startsWith('data:'))) {
             reject(new Error(`Invalid download URL: ${url}`));
             return;
         }
@@ -1207,20 +2448,20 @@ async function chromeDownloadFile(url, filename) {
 }
 
 // Function to click ALL like buttons for ALL sound effects at once
-function clickAllLikeButtons() {
+function clickAllLikeButtons(selectors) {
     try {
         console.log('Starting bulk auto-like for ALL sound effects');
         
         let likedCount = 0;
         
         // Method 1: Look for like buttons within likeButtonWrapper elements
-        const likeWrappers = document.querySelectorAll('.likeButtonWrapper--yrNJw');
+        const likeWrappers = document.querySelectorAll(selectors.likeButtonWrapper);
         console.log(`Found ${likeWrappers.length} like button wrappers`);
         
         likeWrappers.forEach((wrapper, index) => {
             try {
                 // Find the like button within this wrapper
-                const likeButton = wrapper.querySelector('.button--9NFL8.square--n2VLb.light--C3NP-.center--ZZf40');
+                const likeButton = wrapper.querySelector(selectors.likeButton);
                 if (likeButton) {
                     console.log(`Clicking like button ${index + 1} in wrapper`);
 //                   likeButton.click();
@@ -1237,7 +2478,7 @@ function clickAllLikeButtons() {
         if (likedCount === 0) {
             console.log('No wrappers found, using fallback method');
             
-            const allLikeButtons = document.querySelectorAll('.button--9NFL8.square--n2VLb.light--C3NP-.center--ZZf40');
+            const allLikeButtons = document.querySelectorAll(selectors.likeButton);
             console.log(`Found ${allLikeButtons.length} total like buttons on page`);
             
             // Group buttons by their parent containers to avoid duplicates
@@ -1246,7 +2487,7 @@ function clickAllLikeButtons() {
             allLikeButtons.forEach((button, index) => {
                 try {
                     // Find the sound effect container
-                    const container = button.closest('.overlayContainer--0ZpHP, .audioRow--nAm4Z, .media-item, .item-container, [data-testid="media-item"], .likeButtonWrapper--yrNJw');
+                    const container = button.closest(`${selectors.overlayContainer}, ${selectors.audioRow}, .media-item, .item-container, [data-testid="media-item"], ${selectors.likeButtonWrapper}`);
                     
                     if (container) {
                         // Only store one button per container (to avoid clicking multiple buttons in same item)
@@ -1333,7 +2574,7 @@ function clickAllLikeButtons() {
     }
 }
 
-async function downloadSoundEffect(soundEffect, folderName, tabId, useFolderStructure = true, index = 0) {
+async function downloadSoundEffect(soundEffect, folderName, tabId, useFolderStructure = true, index = 0, preferDirectUrl = false) {
     try {
         console.log(`Processing sound effect ${soundEffect.id} (index ${index}):`);
         console.log(`- Individual URL: ${soundEffect.pageUrl || soundEffect.downloadUrl}`);
@@ -1346,74 +2587,39 @@ async function downloadSoundEffect(soundEffect, folderName, tabId, useFolderStru
             soundEffect.id = `sound_${Date.now()}_${index}`;
         }
         
-        // Method 1: Try to navigate to individual page and click download button (PREFERRED)
         const individualPageUrl = soundEffect.pageUrl || soundEffect.downloadUrl;
         
-        if (individualPageUrl && individualPageUrl !== soundEffect.profileUrl) {
-            // Check if this looks like an individual sound effect page
-            const isIndividualPage = individualPageUrl.match(/\/music-\d+\/|\/sound-effect-\d+\/|\/audio-\d+\//) ||
-                                   (individualPageUrl.includes('/music/') && individualPageUrl.match(/\/\d+/)) ||
-                                   (individualPageUrl.includes('/sound-effects/') && individualPageUrl.match(/\/\d+/)) ||
-                                   (individualPageUrl.includes('/audio/') && individualPageUrl.match(/\/\d+/));
-            
-            if (isIndividualPage) {
-                console.log(`Attempting to navigate to individual page and click download: ${individualPageUrl}`);
-                
-                try {
-                    // Open individual page in the same tab
-                    await chrome.tabs.update(tabId, { url: individualPageUrl });
-                    
-                    // Wait for navigation to complete
-                    await sleep(3000);
-                    
-                    // Now try to click the download button
-                    const result = await chrome.scripting.executeScript({
-                        target: { tabId: tabId },
-                        function: clickDownloadButtonOnPage,
-                        args: [individualPageUrl, soundEffect.id]
-                    });
-                    
-                    if (result && result[0] && result[0].result) {
-                        const clickResult = result[0].result;
-                        console.log(`Button click result: ${clickResult}`);
-                        
-                        if (clickResult.includes('SUCCESS')) {
-                            console.log(`Successfully triggered download via navigation and button click for ${soundEffect.id}`);
-                            
-                            // Wait a bit for download to start, then navigate back
-                            await sleep(2000);
-                            
-                            // Navigate back to profile page for next download
-                            if (soundEffect.profileUrl) {
-                                await chrome.tabs.update(tabId, { url: soundEffect.profileUrl });
-                                await sleep(2000); // Wait for navigation back
-                            }
-                            
-                            return 'NATIVE_DOWNLOAD_TRIGGERED';
-                        }
-                    }
-                } catch (error) {
-                    console.log(`Navigation and button click failed for ${soundEffect.id}: ${error.message}`);
-                    
-                    // Navigate back to profile page on error
-                    if (soundEffect.profileUrl) {
-                        try {
-                            await chrome.tabs.update(tabId, { url: soundEffect.profileUrl });
-                            await sleep(2000);
-                        } catch (navError) {
-                            console.log(`Error navigating back to profile: ${navError.message}`);
-                        }
-                    }
+        // The preview player's cached audioUrl is a stream, not the file the download button serves, so it is not used here
+        let resolvedAudioUrl = null;
+        
+        // In pool mode, resolve a direct CDN URL first so the item never needs the user's tab
+        if (!resolvedAudioUrl && preferDirectUrl && isIndividualSoundPageUrl(individualPageUrl)) {
+            resolvedAudioUrl = await extractAudioUrlFromPage(individualPageUrl);
+            if (resolvedAudioUrl) {
+                console.log(`Resolved direct audio URL for ${soundEffect.id}, skipping tab navigation`);
+            }
+        }
+        
+        // Method 1: Try to navigate to individual page and click download button (PREFERRED)
+        if (!resolvedAudioUrl && individualPageUrl && individualPageUrl !== soundEffect.profileUrl) {
+            if (isIndividualSoundPageUrl(individualPageUrl)) {
+                // Only one worker may drive the download tab at a time
+                const nativeResult = await runTabTask(() => downloadViaTabNavigation(soundEffect, individualPageUrl));
+                if (nativeResult) {
+                    return nativeResult;
                 }
             } else {
                 console.log(`URL does not appear to be an individual page: ${individualPageUrl}`);
             }
         }
         
-        console.log(`Button clicking method failed for ${soundEffect.id}, falling back to Chrome Downloads API...`);
+        if (!resolvedAudioUrl) {
+            console.log(`Button clicking method failed for ${soundEffect.id}, falling back to Chrome Downloads API...`);
+        }
         
         // Method 2: Use Chrome Downloads API with URL extraction
-        let downloadUrl = soundEffect.downloadUrl || soundEffect.pageUrl;
+        let downloadUrl = resolvedAudioUrl || soundEffect.downloadUrl || soundEffect.pageUrl;
+        let downloadMethod = resolvedAudioUrl ? 'direct_url' : 'scanned_url';
         
         // Check if we have a direct audio file URL
         const isDirectAudioUrl = downloadUrl && (
@@ -1425,20 +2631,27 @@ async function downloadSoundEffect(soundEffect, folderName, tabId, useFolderStru
             downloadUrl.includes('.flac')
         );
         
-        // If we don't have a direct audio URL, try to extract from page
-        if (!isDirectAudioUrl && individualPageUrl) {
+        // If we don't have a direct audio URL, try to extract from page (pool mode already tried)
+        if (!isDirectAudioUrl && individualPageUrl && !preferDirectUrl) {
             console.log(`No direct audio URL found, attempting to extract from page: ${individualPageUrl}`);
             
             try {
+                // Extraction may end up clicking the page's own download button
+                expectDownload(soundEffect.id, { pageUrl: individualPageUrl });
                 const extractedUrl = await extractAudioUrlFromPage(individualPageUrl);
+                if (extractedUrl !== 'BUTTON_CLICKED') {
+                    cancelExpectedDownload(soundEffect.id);
+                }
                 if (extractedUrl && extractedUrl !== 'BUTTON_CLICKED') {
                     downloadUrl = extractedUrl;
+                    downloadMethod = 'extracted_url';
                     console.log(`Successfully extracted audio URL: ${downloadUrl}`);
                 } else if (extractedUrl === 'BUTTON_CLICKED') {
                     console.log(`Download was triggered by button click during URL extraction, no further action needed`);
                     return 'NATIVE_DOWNLOAD_TRIGGERED';
                 }
             } catch (error) {
+                cancelExpectedDownload(soundEffect.id);
                 console.log(`Failed to extract audio URL from page: ${error.message}`);
             }
         }
@@ -1448,6 +2661,7 @@ async function downloadSoundEffect(soundEffect, folderName, tabId, useFolderStru
             if (soundEffect.previewUrl) {
                 console.log(`Using preview URL as fallback: ${soundEffect.previewUrl}`);
                 downloadUrl = soundEffect.previewUrl;
+                downloadMethod = 'preview_url';
             } else {
                 throw new Error(`No downloadable URL found for ${soundEffect.id} after trying all methods`);
             }
@@ -1474,7 +2688,7 @@ async function downloadSoundEffect(soundEffect, folderName, tabId, useFolderStru
         // If extension detection fails, try to determine from content type
         if (!extension || !['mp3', 'wav', 'ogg', 'aac', 'm4a', 'flac'].includes(extension)) {
             try {
-                const response = await fetch(downloadUrl, { 
+                const response = await fetchWithRateLimit(downloadUrl, { 
                     method: 'HEAD',
                     signal: AbortSignal.timeout(5000) // 5 second timeout
                 });
@@ -1496,16 +2710,647 @@ async function downloadSoundEffect(soundEffect, folderName, tabId, useFolderStru
             }
         }
         
-        const fullFilename = `${baseFilename}.${extension}`;
-        console.log(`Generated filename: ${fullFilename} using pattern: ${downloadConfig.fileNamingPattern}`);
+        const fullFilename = `${baseFilename}.${extension}`;
+        soundEffect.downloadFilename = fullFilename;
+        console.log(`Generated filename: ${fullFilename} using pattern: ${downloadConfig.fileNamingPattern === 'custom' ? downloadConfig.fileNamingTemplate : downloadConfig.fileNamingPattern}`);
+        
+        // Use the improved directory structure handling, watching for the matching chrome.downloads item
+        expectDownload(soundEffect.id, { url: downloadUrl });
+        let downloadResult;
+        try {
+            downloadResult = await downloadWithDirectoryStructure(downloadUrl, folderName, fullFilename, useFolderStructure);
+        } catch (error) {
+            cancelExpectedDownload(soundEffect.id);
+            throw error;
+        }
+        if (typeof downloadResult === 'number') {
+            attachTrackedDownloadId(soundEffect.id, downloadResult);
+        }
+        
+        // Keep the sidecar in the same folder layout the audio file ended up in
+        const sidecarUsesFolders = useFolderStructure && downloadResult !== 'FOLDER_STRUCTURE_FAILED';
+        await writeMetadataSidecar(soundEffect, downloadUrl, folderName, downloadMethod, baseFilename, sidecarUsesFolders);
+        
+        return downloadResult;
+        
+    } catch (error) {
+        console.error(`Error processing sound effect ${soundEffect.id}:`, error);
+        throw error;
+    }
+}
+
+// Navigate the extension's download tab to an individual sound page and click its download button
+// The user's own tab stays on the page they scanned
+async function downloadViaTabNavigation(soundEffect, individualPageUrl) {
+    console.log(`Attempting to navigate to individual page and click download: ${individualPageUrl}`);
+    
+    try {
+        const workerTabId = await getDownloadWorkerTab();
+        
+        // Open individual page in the download tab and wait for it to load
+        const loaded = await navigateTabAndWait(workerTabId, individualPageUrl, 20000);
+        if (!loaded) {
+            console.log(`Individual page did not finish loading, trying the button anyway`);
+        }
+        
+        // Clicking through a challenge page does nothing, wait for the user to pass it first
+        if (!await waitForCloudflareClearance(workerTabId)) {
+            return null;
+        }
+        
+        // Now try to click the download button, the download it starts is matched by its referrer
+        expectDownload(soundEffect.id, { pageUrl: individualPageUrl });
+        const result = await chrome.scripting.executeScript({
+            target: { tabId: workerTabId },
+            function: clickDownloadButtonOnPage,
+            args: [individualPageUrl, soundEffect.id, selectorProfile.selectors, DOWNLOAD_BUTTON_FALLBACK_SELECTORS]
+        });
+        
+        if (result && result[0] && result[0].result) {
+            const clickResult = result[0].result;
+            console.log(`Button click result: ${clickResult}`);
+            
+            if (clickResult.includes('SUCCESS')) {
+                console.log(`Successfully triggered download via navigation and button click for ${soundEffect.id}`);
+                soundEffect.downloadFilename = null; // Pixabay picks the filename for native downloads
+                
+                // Wait a bit for download to start before the tab moves on
+                await sleep(2000);
+                
+                return 'NATIVE_DOWNLOAD_TRIGGERED';
+            }
+        }
+    } catch (error) {
+        console.log(`Navigation and button click failed for ${soundEffect.id}: ${error.message}`);
+    }
+    
+    cancelExpectedDownload(soundEffect.id);
+    return null;
+}
+
+// Register a download we are about to start: API downloads match by URL, button clicks by page
+function expectDownload(soundId, { url = null, pageUrl = null }) {
+    trackedDownloads.set(soundId, {
+        soundId: soundId,
+        url: url,
+        pageUrl: pageUrl,
+        downloadId: null,
+        result: null,
+        expectedAt: Date.now()
+    });
+}
+
+function cancelExpectedDownload(soundId) {
+    trackedDownloads.delete(soundId);
+}
+
+function attachTrackedDownloadId(soundId, downloadId) {
+    const tracker = trackedDownloads.get(soundId);
+    if (tracker && tracker.downloadId === null) {
+        tracker.downloadId = downloadId;
+    }
+}
+
+function findTrackerForDownload(downloadItem) {
+    // Sidecars and exports are data: or blob: URLs we never wait on
+    if (!downloadItem.url || !downloadItem.url.startsWith('http')) {
+        return null;
+    }
+    
+    const pending = Array.from(trackedDownloads.values()).filter(tracker => tracker.downloadId === null);
+    
+    const byUrl = pending.find(tracker => tracker.url && (tracker.url === downloadItem.url || tracker.url === downloadItem.finalUrl));
+    if (byUrl) return byUrl;
+    
+    const clicks = pending.filter(tracker => tracker.pageUrl);
+    const byReferrer = clicks.find(tracker => downloadItem.referrer && (
+        downloadItem.referrer.startsWith(tracker.pageUrl) || downloadItem.referrer.includes(`-${tracker.soundId}/`)
+    ));
+    if (byReferrer) return byReferrer;
+    
+    // Pixabay may redirect before the file starts; with one click outstanding the match is unambiguous
+    if (clicks.length === 1 && /pixabay\.com/.test(`${downloadItem.url} ${downloadItem.referrer || ''}`)) {
+        return clicks[0];
+    }
+    
+    return null;
+}
+
+function setTrackerResult(tracker, state, error) {
+    if (tracker.result) return;
+    tracker.result = state === 'complete'
+        ? { state: 'complete' }
+        : { state: 'interrupted', error: error || 'UNKNOWN' };
+}
+
+chrome.downloads.onCreated.addListener((downloadItem) => {
+    const tracker = findTrackerForDownload(downloadItem);
+    if (!tracker) return;
+    
+    tracker.downloadId = downloadItem.id;
+    console.log(`Tracking download ${downloadItem.id} for sound ${tracker.soundId}`);
+    
+    if (downloadItem.state === 'complete' || downloadItem.state === 'interrupted') {
+        setTrackerResult(tracker, downloadItem.state, downloadItem.error);
+    }
+});
+
+chrome.downloads.onChanged.addListener((delta) => {
+    if (!delta.state) return;
+    
+    const tracker = Array.from(trackedDownloads.values()).find(entry => entry.downloadId === delta.id);
+    if (!tracker) return;
+    
+    if (delta.state.current === 'complete' || delta.state.current === 'interrupted') {
+        setTrackerResult(tracker, delta.state.current, delta.error ? delta.error.current : null);
+    }
+});
+
+// Resolves to { state: 'complete' | 'interrupted' | 'unverified', error, downloadId }
+async function waitForTrackedDownload(soundId) {
+    const tracker = trackedDownloads.get(soundId);
+    if (!tracker) {
+        // Nothing we can correlate (e.g. opened in a new tab), trust the start result
+        return { state: 'unverified' };
+    }
+    
+    let lastPolledAt = Date.now();
+    try {
+        while (!tracker.result) {
+            const waited = Date.now() - tracker.expectedAt;
+            
+            if (tracker.downloadId === null && waited > DOWNLOAD_START_TIMEOUT) {
+                return { state: 'interrupted', error: 'NO_DOWNLOAD_STARTED' };
+            }
+            if (waited > DOWNLOAD_FINISH_TIMEOUT) {
+                return { state: 'interrupted', error: 'TIMEOUT' };
+            }
+            
+            // Events can be missed while the worker was busy, ask Chrome directly now and then
+            if (tracker.downloadId !== null && Date.now() - lastPolledAt > 5000) {
+                lastPolledAt = Date.now();
+                const [downloadItem] = await chrome.downloads.search({ id: tracker.downloadId });
+                if (downloadItem && (downloadItem.state === 'complete' || downloadItem.state === 'interrupted')) {
+                    setTrackerResult(tracker, downloadItem.state, downloadItem.error);
+                    break;
+                }
+            }
+            
+            await sleep(250);
+        }
+        
+        return { ...tracker.result, downloadId: tracker.downloadId };
+    } finally {
+        trackedDownloads.delete(soundId);
+    }
+}
+
+// Reuse the download tab for the whole batch, creating it in a minimized window on first use
+async function getDownloadWorkerTab() {
+    if (downloadWorkerTabId !== null) {
+        try {
+            await chrome.tabs.get(downloadWorkerTabId);
+            return downloadWorkerTabId;
+        } catch (error) {
+            // Closed by the user, make a new one
+            setDownloadWorkerTab(null);
+        }
+    }
+    
+    setDownloadWorkerTab(await openBackgroundTab());
+    
+    console.log(`Opened download tab ${downloadWorkerTabId}`);
+    return downloadWorkerTabId;
+}
+
+async function closeDownloadWorkerTab() {
+    if (downloadWorkerTabId === null) return;
+    
+    const workerTab = { tabId: downloadWorkerTabId, windowId: downloadWorkerWindowId };
+    setDownloadWorkerTab(null);
+    
+    await closeBackgroundTab(workerTab);
+    console.log('Closed download tab');
+}
+
+// Mirrored to session storage, which survives a worker restart but not a browser restart
+function setDownloadWorkerTab(workerTab) {
+    downloadWorkerTabId = workerTab ? workerTab.tabId : null;
+    downloadWorkerWindowId = workerTab ? workerTab.windowId : null;
+    
+    const write = workerTab
+        ? chrome.storage.session.set({ [DOWNLOAD_WORKER_STORAGE_KEY]: workerTab })
+        : chrome.storage.session.remove(DOWNLOAD_WORKER_STORAGE_KEY);
+    write.catch((error) => {
+        console.error('Error persisting download tab:', error);
+    });
+}
+
+// A restarted worker finds the previous worker's download tab: keep it for resuming the interrupted batch, close it otherwise
+async function restoreDownloadWorkerTab() {
+    try {
+        const result = await chrome.storage.session.get([DOWNLOAD_WORKER_STORAGE_KEY]);
+        const workerTab = result[DOWNLOAD_WORKER_STORAGE_KEY];
+        if (!workerTab) return;
+        
+        try {
+            await chrome.tabs.get(workerTab.tabId);
+        } catch (error) {
+            setDownloadWorkerTab(null);
+            return;
+        }
+        
+        if (interruptedJob) {
+            setDownloadWorkerTab(workerTab);
+            console.log(`Reusing download tab ${workerTab.tabId} for the interrupted batch`);
+        } else {
+            setDownloadWorkerTab(null);
+            await closeBackgroundTab(workerTab);
+            console.log('Closed download tab left by the previous worker');
+        }
+    } catch (error) {
+        console.error('Error restoring download tab:', error);
+    }
+}
+
+// A tab the user does not have to look at: a minimized window of its own, or an inactive tab
+async function openBackgroundTab() {
+    try {
+        const backgroundWindow = await chrome.windows.create({
+            url: 'about:blank',
+            state: 'minimized',
+            focused: false
+        });
+        return { tabId: backgroundWindow.tabs[0].id, windowId: backgroundWindow.id };
+    } catch (error) {
+        // Some window managers refuse minimized windows, fall back to a background tab
+        console.log('Could not open minimized window, using a background tab:', error.message);
+        const backgroundTab = await chrome.tabs.create({ url: 'about:blank', active: false });
+        return { tabId: backgroundTab.id, windowId: null };
+    }
+}
+
+async function closeBackgroundTab({ tabId, windowId }) {
+    try {
+        if (windowId !== null) {
+            await chrome.windows.remove(windowId);
+        } else {
+            await chrome.tabs.remove(tabId);
+        }
+    } catch (error) {
+        console.log('Background tab was already closed');
+    }
+}
+
+// Ask the content script whether the tab is showing a Cloudflare challenge
+async function isCloudflareChallengeInTab(tabId) {
+    const check = () => chrome.tabs.sendMessage(tabId, { action: 'CHECK_CLOUDFLARE_CHALLENGE' });
+    
+    try {
+        let response;
+        try {
+            response = await check();
+        } catch (error) {
+            // Content script not there yet, inject it and ask once more
+            await chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                files: ['selector-profile.js', 'content-script.js']
+            });
+            await sleep(500);
+            response = await check();
+        }
+        return !!(response && response.isChallenge);
+    } catch (error) {
+        console.log('Could not check for a Cloudflare challenge:', error.message);
+        return false;
+    }
+}
+
+// Pause the batch while the download tab shows a challenge and resume once it is gone
+// Resolves false when the batch was canceled or the tab closed while waiting
+async function waitForCloudflareClearance(tabId) {
+    if (!await isCloudflareChallengeInTab(tabId)) {
+        return true;
+    }
+    
+    console.log('Cloudflare challenge detected in download tab, pausing downloads');
+    slowDownRequests('Cloudflare challenge', null);
+    isCloudflarePaused = true;
+    isDownloadPaused = true;
+    persistDownloadJob();
+    updateExtensionState({
+        isPaused: true,
+        lastStatus: { icon: '!', message: 'Cloudflare check detected - downloads paused. Complete it in the download window to continue.', type: 'warning' }
+    });
+    sendMessageToPopup({ action: 'CLOUDFLARE_CHALLENGE' });
+    notifyUser('pauses', 'cloudflare-challenge', 'Downloads paused', 'Pixabay is showing a Cloudflare check. Complete it in the download window and downloads will continue.');
+    await showDownloadWorkerTab();
+    
+    try {
+        while (!isDownloadCanceled) {
+            await sleep(3000);
+            
+            try {
+                await chrome.tabs.get(tabId);
+            } catch (error) {
+                console.log('Download tab closed during Cloudflare challenge');
+                return false;
+            }
+            
+            if (!await isCloudflareChallengeInTab(tabId)) {
+                console.log('Cloudflare challenge cleared, resuming downloads');
+                await sleep(2000); // Let the real page settle after the redirect
+                if (isCloudflarePaused && isDownloadPaused && !isDownloadCanceled) {
+                    resumeDownload();
+                }
+                chrome.notifications.clear('cloudflare-challenge').catch(() => {});
+                await hideDownloadWorkerTab();
+                return true;
+            }
+        }
+        return false;
+    } finally {
+        isCloudflarePaused = false;
+    }
+}
+
+// Bring the download tab forward so the user can solve a challenge in it
+async function showDownloadWorkerTab() {
+    try {
+        if (downloadWorkerWindowId !== null) {
+            await chrome.windows.update(downloadWorkerWindowId, { state: 'normal', focused: true });
+        } else if (downloadWorkerTabId !== null) {
+            await chrome.tabs.update(downloadWorkerTabId, { active: true });
+        }
+    } catch (error) {
+        console.log('Could not show download tab:', error.message);
+    }
+}
+
+async function hideDownloadWorkerTab() {
+    try {
+        if (downloadWorkerWindowId !== null) {
+            await chrome.windows.update(downloadWorkerWindowId, { state: 'minimized' });
+        }
+    } catch (error) {
+        console.log('Could not minimize download window:', error.message);
+    }
+}
+
+// eventType is a key of downloadConfig.notificationEvents
+function notifyUser(eventType, notificationId, title, message) {
+    if (downloadConfig.notificationEvents && downloadConfig.notificationEvents[eventType] === false) {
+        return;
+    }
+    
+    // Returns a promise in MV3, so failures (blocked notifications, a bad icon) arrive through .catch
+    chrome.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: 'icon128.png',
+        title: title,
+        message: message
+    }).catch(error => {
+        console.log('Could not show notification:', error.message);
+    });
+}
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    chrome.notifications.clear(notificationId);
+    
+    // A challenge is solved in the download window, everything else is read in the popup
+    if (notificationId === 'cloudflare-challenge') {
+        showDownloadWorkerTab();
+    } else {
+        openResultsView();
+    }
+});
+
+// Open the popup (Chrome 127+), or the same page in a tab where that is not possible
+async function openResultsView() {
+    try {
+        await chrome.action.openPopup();
+    } catch (error) {
+        await chrome.tabs.create({ url: chrome.runtime.getURL('popup.html') });
+    }
+}
+
+// Write <filename>.json next to a downloaded sound describing where it came from
+async function writeMetadataSidecar(soundEffect, downloadUrl, folderName, downloadMethod, baseFilename, useFolderStructure) {
+    if (!downloadConfig.writeMetadataSidecar) {
+        return;
+    }
+    
+    try {
+        const pageContext = parsePixabayPageUrl(soundEffect.profileUrl);
+        const metadata = {
+            id: soundEffect.id,
+            title: soundEffect.title,
+            pageUrl: soundEffect.pageUrl || null,
+            profileUrl: soundEffect.profileUrl || null,
+            extractedAt: soundEffect.extractedAt || null,
+            creator: soundEffect.creator || pageContext.creator || (downloadPageInfo && downloadPageInfo.creator) || null,
+            query: pageContext.query || (downloadPageInfo && downloadPageInfo.query) || null,
+            category: soundEffect.category || pageContext.category || null,
+            duration: soundEffect.duration || null,
+            durationSeconds: soundEffect.durationSeconds !== undefined ? soundEffect.durationSeconds : null,
+            tags: soundEffect.tags || [],
+            likes: soundEffect.likes !== undefined ? soundEffect.likes : null,
+            downloads: soundEffect.downloads !== undefined ? soundEffect.downloads : null,
+            source: downloadPageInfo ? downloadPageInfo.targetName : null,
+            pageNumber: soundEffect.pageNumber || (downloadPageInfo && downloadPageInfo.pageNumber) || null,
+            filename: soundEffect.downloadFilename || null,
+            downloadUrl: downloadUrl,
+            downloadMethod: downloadMethod,
+            downloadedAt: new Date().toISOString()
+        };
+        
+        // Service workers have no URL.createObjectURL, so the JSON goes through a data URL
+        const dataUrl = `data:application/json;charset=utf-8,${encodeURIComponent(JSON.stringify(metadata, null, 2))}`;
+        const sidecarFilename = `${baseFilename}.json`;
         
-        // Use the improved directory structure handling
-        return await downloadWithDirectoryStructure(downloadUrl, folderName, fullFilename, useFolderStructure);
+        if (folderName) {
+            await downloadWithDirectoryStructure(dataUrl, folderName, sidecarFilename, useFolderStructure);
+        } else {
+            await chromeDownloadFile(dataUrl, sidecarFilename);
+        }
+        console.log(`Wrote metadata sidecar ${sidecarFilename} for ${soundEffect.id}`);
+    } catch (error) {
+        // A missing sidecar should never fail the sound itself
+        console.log(`Failed to write metadata sidecar for ${soundEffect.id}: ${error.message}`);
+    }
+}
+
+// Pixabay names button-click downloads itself, so the sidecar takes the name Chrome reports for the finished file
+// Those downloads go to Chrome's download folder, the same place an unfoldered sidecar is written
+async function writeNativeDownloadSidecar(soundEffect, downloadId) {
+    if (!downloadConfig.writeMetadataSidecar || downloadId === null || downloadId === undefined) {
+        return;
+    }
+    
+    try {
+        const [downloadItem] = await chrome.downloads.search({ id: downloadId });
+        if (!downloadItem || !downloadItem.filename) {
+            console.log(`No filename reported for download ${downloadId}, skipping metadata sidecar for ${soundEffect.id}`);
+            return;
+        }
         
+        const savedFilename = downloadItem.filename.split(/[\\/]/).pop();
+        soundEffect.downloadFilename = savedFilename;
+        await writeMetadataSidecar(soundEffect, downloadItem.finalUrl || downloadItem.url, null, 'native_button', savedFilename.replace(/\.[^.]+$/, ''), false);
     } catch (error) {
-        console.error(`Error processing sound effect ${soundEffect.id}:`, error);
-        throw error;
+        console.log(`Failed to look up download ${downloadId} for ${soundEffect.id}: ${error.message}`);
+    }
+}
+
+// Check if a URL looks like an individual sound effect page
+function isIndividualSoundPageUrl(url) {
+    if (!url) return false;
+    return !!(url.match(/\/music-\d+\/|\/sound-effect-\d+\/|\/audio-\d+\//) ||
+        (url.includes('/music/') && url.match(/\/\d+/)) ||
+        (url.includes('/sound-effects/') && url.match(/\/\d+/)) ||
+        (url.includes('/audio/') && url.match(/\/\d+/)));
+}
+
+// Tab-bound steps (navigation, button clicks) run one at a time, in order
+let tabTaskChain = Promise.resolve();
+
+function runTabTask(task) {
+    const run = tabTaskChain.then(task, task);
+    tabTaskChain = run.catch(() => {});
+    return run;
+}
+
+// Shared adaptive rate limiter - spaces out requests across all download workers
+// The spacing starts at the configured delay (the floor), doubles when Pixabay pushes back
+// (429/403, Cloudflare challenge) and eases back down to the floor with every good response
+const RATE_LIMIT_MAX_DELAY = 60000;
+const RATE_LIMIT_RECOVERY_FACTOR = 0.8; // Share of the extra delay kept after each good response
+
+let nextRequestSlotAt = 0;
+let adaptiveRequestDelay = 0; // ms above the floor are extra, 0 means "use the floor"
+let requestCooldownUntil = 0; // Nothing goes out before this (Retry-After)
+
+function getRequestDelayFloor() {
+    return downloadConfig.downloadDelay * 1000; // Convert to milliseconds
+}
+
+function getCurrentRequestDelay() {
+    return Math.max(getRequestDelayFloor(), adaptiveRequestDelay);
+}
+
+async function waitForRequestSlot(label = '') {
+    const currentDelay = getCurrentRequestDelay();
+    const randomDelay = Math.random() * 1000; // Random 0-1 seconds
+    
+    // Reserve the next slot before sleeping so concurrent workers queue up behind it
+    const now = Date.now();
+    const slotAt = Math.max(now + currentDelay + randomDelay, nextRequestSlotAt, requestCooldownUntil);
+    nextRequestSlotAt = slotAt + currentDelay + randomDelay;
+    
+    const waitTime = slotAt - now;
+    console.log(`Waiting ${Math.round(waitTime)}ms before downloading ${label} (current delay: ${(currentDelay / 1000).toFixed(1)}s, configured: ${downloadConfig.downloadDelay}s)`);
+    await sleep(waitTime);
+}
+
+// Extra requests within an item (page fetch, HEAD probe) only wait out a Retry-After cooldown;
+// the item itself already took a slot
+async function waitForRequestCooldown() {
+    const waitTime = requestCooldownUntil - Date.now();
+    if (waitTime > 0) {
+        console.log(`Waiting ${Math.round(waitTime)}ms for the server's Retry-After`);
+        await sleep(waitTime);
+    }
+}
+
+// fetch() for Pixabay requests, feeding every response back into the limiter
+async function fetchWithRateLimit(url, options = {}) {
+    await waitForRequestCooldown();
+    const response = await fetch(url, options);
+    
+    if (response.status === 429 || response.status === 403) {
+        slowDownRequests(`HTTP ${response.status}`, parseRetryAfter(response.headers.get('retry-after')));
+    } else if (response.headers.get('cf-mitigated') === 'challenge') {
+        slowDownRequests('Cloudflare challenge', null);
+    } else if (response.ok) {
+        speedUpRequests();
+    }
+    
+    return response;
+}
+
+function slowDownRequests(reason, retryAfterMs) {
+    const previousDelay = getCurrentRequestDelay();
+    adaptiveRequestDelay = Math.min(RATE_LIMIT_MAX_DELAY, Math.max(previousDelay, 1000) * 2);
+    
+    if (retryAfterMs) {
+        requestCooldownUntil = Math.max(requestCooldownUntil, Date.now() + Math.min(retryAfterMs, 10 * 60 * 1000));
     }
+    
+    console.log(`Slowing down after ${reason}: request delay ${(previousDelay / 1000).toFixed(1)}s -> ${(getCurrentRequestDelay() / 1000).toFixed(1)}s`);
+    publishRequestRate();
+}
+
+function speedUpRequests() {
+    const floor = getRequestDelayFloor();
+    if (adaptiveRequestDelay <= floor) return;
+    
+    adaptiveRequestDelay = floor + (adaptiveRequestDelay - floor) * RATE_LIMIT_RECOVERY_FACTOR;
+    if (adaptiveRequestDelay - floor < 100) {
+        adaptiveRequestDelay = 0;
+    }
+    publishRequestRate();
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value) * 1000;
+    }
+    
+    const retryAt = Date.parse(value);
+    return isNaN(retryAt) ? null : Math.max(0, retryAt - Date.now());
+}
+
+function publishRequestRate() {
+    const requestRate = {
+        delaySeconds: Math.round(getCurrentRequestDelay() / 100) / 10,
+        floorSeconds: downloadConfig.downloadDelay,
+        cooldownUntil: requestCooldownUntil > Date.now() ? requestCooldownUntil : null
+    };
+    
+    updateExtensionState({ requestRate: requestRate });
+    sendMessageToPopup({
+        action: 'RATE_LIMIT_UPDATE',
+        requestRate: requestRate
+    });
+}
+
+// Sort a failure reason (Chrome interrupt reason or thrown error message) into a retry class:
+// network, server, no_download, file, canceled or other
+function classifyDownloadError(reason) {
+    const text = String(reason || '');
+    
+    if (text === 'USER_CANCELED') return 'canceled';
+    if (text === 'NO_DOWNLOAD_STARTED' || text === 'TIMEOUT') return 'no_download';
+    if (/^FILE_/.test(text)) return 'file';
+    if (/^SERVER_|HTTP (?:403|429|5\d\d)/.test(text)) return 'server';
+    if (/^NETWORK_|^USER_SHUTDOWN$|^CRASH$|network|fetch|timed? ?out|abort/i.test(text)) return 'network';
+    return 'other';
+}
+
+function shouldRetryDownload(reason, attempt) {
+    const maxRetries = Math.max(0, parseInt(downloadConfig.retryAttempts) || 0);
+    const retryClasses = downloadConfig.retryErrorClasses || SETTINGS_SCHEMA.retryErrorClasses.default;
+    return attempt <= maxRetries && retryClasses.includes(classifyDownloadError(reason));
+}
+
+// Exponential backoff: base delay, then double it for every further attempt (capped at 5 minutes)
+function getRetryDelay(attempt) {
+    const baseDelay = (parseFloat(downloadConfig.retryBaseDelay) || 5) * 1000;
+    const jitter = Math.random() * 1000;
+    return Math.min(baseDelay * Math.pow(2, attempt - 1), 5 * 60 * 1000) + jitter;
 }
 
 // Extract audio URL from page function
@@ -1514,7 +3359,7 @@ async function extractAudioUrlFromPage(pageUrl) {
         console.log(`Attempting to extract audio URL from: ${pageUrl}`);
         
         // Fetch the page content
-        const response = await fetch(pageUrl, {
+        const response = await fetchWithRateLimit(pageUrl, {
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
             },
@@ -1580,6 +3425,26 @@ async function extractAudioUrlFromPage(pageUrl) {
     }
 }
 
+// Resolve a streamable URL for the popup preview, cached on the scanned item so replaying skips the lookup
+async function resolvePreviewAudioUrl(itemId, pageUrl) {
+    const scannedItem = (extensionState.scannedItems || []).find(item => String(item.id) === String(itemId));
+    if (scannedItem && scannedItem.audioUrl) {
+        return scannedItem.audioUrl;
+    }
+    
+    const audioUrl = await extractAudioUrlFromPage(pageUrl || (scannedItem && scannedItem.pageUrl));
+    if (!audioUrl || !audioUrl.startsWith('http')) {
+        return null;
+    }
+    
+    if (scannedItem) {
+        scannedItem.audioUrl = audioUrl;
+        updateExtensionState({ scannedItems: extensionState.scannedItems });
+    }
+    
+    return audioUrl;
+}
+
 // Simulate download button click
 async function simulateDownloadButtonClick(pageUrl, soundEffectId, tabId) {
     try {
@@ -1589,7 +3454,7 @@ async function simulateDownloadButtonClick(pageUrl, soundEffectId, tabId) {
         const result = await chrome.scripting.executeScript({
             target: { tabId: tabId },
             function: clickDownloadButtonOnPage,
-            args: [pageUrl, soundEffectId]
+            args: [pageUrl, soundEffectId, selectorProfile.selectors, DOWNLOAD_BUTTON_FALLBACK_SELECTORS]
         });
         
         if (result && result[0] && result[0].result) {
@@ -1605,7 +3470,7 @@ async function simulateDownloadButtonClick(pageUrl, soundEffectId, tabId) {
 }
 
 // Function to be injected into the page to click download button
-function clickDownloadButtonOnPage(targetPageUrl, soundEffectId) {
+function clickDownloadButtonOnPage(targetPageUrl, soundEffectId, selectors, downloadSelectors) {
     try {
         console.log(`Looking for download button for sound effect ${soundEffectId} on page: ${window.location.href}`);
         console.log(`Target page URL: ${targetPageUrl}`);
@@ -1625,12 +3490,11 @@ function clickDownloadButtonOnPage(targetPageUrl, soundEffectId) {
         }
         
         // Method 1: Find download button using specific classes for audio pages
-        const actionButtons = document.querySelector('.actionButtons--NbgQi');
+        const actionButtons = document.querySelector(selectors.actionButtons);
         if (actionButtons) {
             // Look for download button (typically ghost/light colored)
-            const downloadButton = actionButtons.querySelector('.button--9NFL8.ghost--wIHwU.light--C3NP-.center--ZZf40') ||
-                                 actionButtons.querySelector('.button--9NFL8[class*="ghost"]') ||
-                                 actionButtons.querySelector('.button--9NFL8[class*="download"]');
+            const downloadButton = actionButtons.querySelector(selectors.downloadButton) ||
+                                 actionButtons.querySelector(selectors.downloadButtonFallback);
             
             if (downloadButton) {
                 console.log('Found download button with specific classes');
@@ -1672,18 +3536,7 @@ function clickDownloadButtonOnPage(targetPageUrl, soundEffectId) {
             console.log('No action buttons area found on page');
         }
         
-        // Method 2: Look for download-related selectors across the page
-        const downloadSelectors = [
-            'a[href*="download"]',
-            'button[title*="download" i]',
-            'button[aria-label*="download" i]',
-            '.download-button',
-            '.btn-download',
-            '[data-testid*="download"]',
-            'button:has-text("Download")',
-            'a:has-text("Download")'
-        ];
-        
+        // Method 2: Look for download-related selectors across the page (DOWNLOAD_BUTTON_FALLBACK_SELECTORS)
         for (const selector of downloadSelectors) {
             try {
                 const elements = document.querySelectorAll(selector);
@@ -1795,6 +3648,411 @@ function getFileExtensionFromUrl(url) {
     }
 }
 
+// Download ledger - IndexedDB history of downloaded Pixabay sound IDs
+const LEDGER_DB_NAME = 'PixabayDownloadLedger';
+const LEDGER_DB_VERSION = 2; // 2: index on result, so failed attempts are left out of the count
+const LEDGER_STORE = 'downloads';
+let ledgerDbPromise = null;
+
+function openLedgerDatabase() {
+    if (!ledgerDbPromise) {
+        ledgerDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(LEDGER_DB_NAME, LEDGER_DB_VERSION);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const store = db.objectStoreNames.contains(LEDGER_STORE)
+                    ? request.transaction.objectStore(LEDGER_STORE)
+                    : db.createObjectStore(LEDGER_STORE, { keyPath: 'id' });
+                if (!store.indexNames.contains('downloadedAt')) {
+                    store.createIndex('downloadedAt', 'downloadedAt');
+                }
+                if (!store.indexNames.contains('result')) {
+                    store.createIndex('result', 'result');
+                }
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                ledgerDbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return ledgerDbPromise;
+}
+
+// Run a single request against the ledger store and resolve with its result
+async function runLedgerRequest(mode, createRequest) {
+    const db = await openLedgerDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(LEDGER_STORE, mode);
+        const request = createRequest(transaction.objectStore(LEDGER_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Only real Pixabay IDs are tracked; generated "sound_..." IDs change on every scan
+function isLedgerKey(soundId) {
+    return typeof soundId === 'string' && /^\d+$/.test(soundId);
+}
+
+async function getLedgerEntry(soundId) {
+    try {
+        return await runLedgerRequest('readonly', store => store.get(soundId));
+    } catch (error) {
+        console.error('Error reading download ledger:', error);
+        return null;
+    }
+}
+
+async function recordLedgerEntry(soundEffect, folderName, usedFolderStructure, result, errorMessage = null) {
+    if (!isLedgerKey(soundEffect.id)) return;
+    
+    try {
+        // A failed forced re-download should not erase an earlier successful record
+        if (result === 'failed') {
+            const existing = await getLedgerEntry(soundEffect.id);
+            if (existing && existing.result === 'success') return;
+        }
+        
+        await runLedgerRequest('readwrite', store => store.put({
+            id: soundEffect.id,
+            title: soundEffect.title,
+            filename: soundEffect.downloadFilename || null,
+            folder: usedFolderStructure ? folderName : '',
+            downloadedAt: new Date().toISOString(),
+            sourcePage: soundEffect.profileUrl || soundEffect.pageUrl || '',
+            result: result,
+            error: errorMessage
+        }));
+    } catch (error) {
+        console.error('Error writing download ledger:', error);
+    }
+}
+
+// Sounds actually downloaded; failed attempts are kept in the ledger but not counted
+async function getLedgerCount() {
+    try {
+        return await runLedgerRequest('readonly', store => store.index('result').count('success'));
+    } catch (error) {
+        console.error('Error counting download ledger:', error);
+        return 0;
+    }
+}
+
+async function clearLedger() {
+    try {
+        await runLedgerRequest('readwrite', store => store.clear());
+        console.log('Download ledger cleared');
+    } catch (error) {
+        console.error('Error clearing download ledger:', error);
+    }
+}
+
+// Watchlist - user pages, searches and categories checked on a chrome.alarms schedule
+// Each entry remembers the sound IDs it has seen; the first check only records that baseline
+const WATCHLIST_STORAGE_KEY = 'watchlist';
+const WATCHLIST_ALARM_NAME = 'watchlist-check';
+const WATCHLIST_MAX_SEEN_IDS = 2000;
+
+async function loadWatchlist() {
+    try {
+        const result = await chrome.storage.local.get([WATCHLIST_STORAGE_KEY]);
+        return result[WATCHLIST_STORAGE_KEY] || [];
+    } catch (error) {
+        console.error('Error loading watchlist:', error);
+        return [];
+    }
+}
+
+async function saveWatchlist(watchlist) {
+    await chrome.storage.local.set({ [WATCHLIST_STORAGE_KEY]: watchlist });
+    sendMessageToPopup({
+        action: 'WATCHLIST_UPDATED',
+        watchlist: watchlist,
+        isChecking: isWatchlistCheckRunning
+    });
+}
+
+// Write back one checked entry; entries added or removed while a check runs are left as they are
+async function storeWatchlistEntry(entry) {
+    const watchlist = await loadWatchlist();
+    const index = watchlist.findIndex(stored => stored.id === entry.id);
+    if (index === -1) return;
+    
+    watchlist[index] = entry;
+    await chrome.storage.local.set({ [WATCHLIST_STORAGE_KEY]: watchlist });
+}
+
+// Work out what a listing URL watches; individual sound pages and other sites are refused
+function describeWatchTarget(pageUrl) {
+    let url;
+    try {
+        url = new URL(pageUrl);
+    } catch (error) {
+        return null;
+    }
+    
+    if (!/(^|\.)pixabay\.com$/.test(url.hostname) || isIndividualSoundPageUrl(url.href)) {
+        return null;
+    }
+    
+    // Always watch the first page, that is where new uploads appear
+    ['pagi', 'page', 'p'].forEach(param => url.searchParams.delete(param));
+    
+    const pageContext = parsePixabayPageUrl(url.href);
+    if (pageContext.creator) {
+        return { url: url.href, kind: 'user', label: pageContext.creator };
+    }
+    if (pageContext.query) {
+        return { url: url.href, kind: 'search', label: pageContext.query };
+    }
+    if (pageContext.category) {
+        return { url: url.href, kind: 'category', label: pageContext.category };
+    }
+    return null;
+}
+
+async function addWatchlistEntry(pageUrl) {
+    const target = describeWatchTarget(pageUrl);
+    if (!target) {
+        return { error: 'Only Pixabay user pages, searches and categories can be watched' };
+    }
+    
+    const watchlist = await loadWatchlist();
+    if (watchlist.some(entry => entry.url === target.url)) {
+        return { error: `${target.label} is already on the watchlist` };
+    }
+    
+    const entry = {
+        id: `watch_${Date.now()}`,
+        url: target.url,
+        kind: target.kind,
+        label: target.label,
+        addedAt: new Date().toISOString(),
+        lastCheckedAt: null,
+        lastError: null,
+        seenIds: [],
+        newItems: [], // Found but not downloaded yet
+        pageInfo: null
+    };
+    
+    watchlist.push(entry);
+    await saveWatchlist(watchlist);
+    await scheduleWatchlistAlarm();
+    
+    // Record what is there now, so the first scheduled check already reports new uploads
+    runWatchlistCheck([entry.id]);
+    
+    console.log(`Added ${target.kind} "${target.label}" to the watchlist`);
+    return { entry: entry };
+}
+
+async function removeWatchlistEntry(entryId) {
+    const watchlist = (await loadWatchlist()).filter(entry => entry.id !== entryId);
+    await saveWatchlist(watchlist);
+    await scheduleWatchlistAlarm();
+}
+
+// Alarms survive worker restarts, so only (re)create one when the period changed or it is missing
+async function scheduleWatchlistAlarm() {
+    try {
+        const watchlist = await loadWatchlist();
+        if (watchlist.length === 0) {
+            await chrome.alarms.clear(WATCHLIST_ALARM_NAME);
+            return;
+        }
+        
+        const periodInMinutes = (parseInt(downloadConfig.watchlistIntervalHours) || 24) * 60;
+        const existingAlarm = await chrome.alarms.get(WATCHLIST_ALARM_NAME);
+        if (existingAlarm && existingAlarm.periodInMinutes === periodInMinutes) {
+            return;
+        }
+        
+        await chrome.alarms.create(WATCHLIST_ALARM_NAME, {
+            delayInMinutes: periodInMinutes,
+            periodInMinutes: periodInMinutes
+        });
+        console.log(`Watchlist check scheduled every ${periodInMinutes / 60} hours`);
+    } catch (error) {
+        console.error('Error scheduling watchlist check:', error);
+    }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === WATCHLIST_ALARM_NAME) {
+        stateRestored.then(() => runWatchlistCheck());
+    }
+});
+
+// Scan every watched page (or only entryIds) in a background tab and compare against the IDs seen before
+async function runWatchlistCheck(entryIds = null) {
+    if (isWatchlistCheckRunning) {
+        console.log('Watchlist check already running');
+        if (entryIds) isWatchlistBaselineQueued = true;
+        return;
+    }
+    
+    // Claimed before the first await, so two alarms or adds arriving together cannot both start a check
+    isWatchlistCheckRunning = true;
+    
+    const storedWatchlist = await loadWatchlist();
+    const watchlist = storedWatchlist.filter(entry => !entryIds || entryIds.includes(entry.id));
+    if (watchlist.length === 0) {
+        isWatchlistCheckRunning = false;
+        return;
+    }
+    
+    // Only tells the popup a check is running; the stored list stays complete
+    await saveWatchlist(storedWatchlist);
+    console.log(`Checking ${watchlist.length} watchlist entries`);
+    
+    let scanTab = null;
+    const foundEntries = [];
+    
+    try {
+        scanTab = await openBackgroundTab();
+        
+        for (let i = 0; i < watchlist.length; i++) {
+            const entry = watchlist[i];
+            if (i > 0) {
+                await waitForRequestSlot(`watchlist ${entry.label}`);
+            }
+            
+            try {
+                const { items, pageInfo } = await scanWatchlistEntry(scanTab.tabId, entry);
+                const seenIds = new Set(entry.seenIds);
+                const isBaseline = entry.lastCheckedAt === null;
+                const newItems = isBaseline ? [] : items.filter(item => !seenIds.has(String(item.id)));
+                
+                entry.seenIds = [...new Set([...items.map(item => String(item.id)), ...entry.seenIds])].slice(0, WATCHLIST_MAX_SEEN_IDS);
+                entry.lastCheckedAt = new Date().toISOString();
+                entry.lastError = null;
+                entry.pageInfo = pageInfo;
+                
+                const knownNewIds = new Set(entry.newItems.map(item => String(item.id)));
+                entry.newItems = [...entry.newItems, ...newItems.filter(item => !knownNewIds.has(String(item.id)))];
+                
+                console.log(`Watchlist "${entry.label}": ${items.length} items, ${newItems.length} new${isBaseline ? ' (baseline)' : ''}`);
+                if (newItems.length > 0) {
+                    foundEntries.push({ entry: entry, count: newItems.length });
+                }
+            } catch (error) {
+                console.error(`Watchlist check failed for "${entry.label}":`, error);
+                entry.lastCheckedAt = new Date().toISOString();
+                entry.lastError = error.message;
+                
+                // Another page would hit the same challenge, try again next time
+                if (error.message === 'Cloudflare check') break;
+            }
+            
+            await storeWatchlistEntry(entry);
+        }
+    } catch (error) {
+        console.error('Watchlist check failed:', error);
+    } finally {
+        if (scanTab) await closeBackgroundTab(scanTab);
+        isWatchlistCheckRunning = false;
+        await saveWatchlist(await loadWatchlist());
+    }
+    
+    if (isWatchlistBaselineQueued) {
+        isWatchlistBaselineQueued = false;
+        const unchecked = (await loadWatchlist()).filter(entry => entry.lastCheckedAt === null).map(entry => entry.id);
+        if (unchecked.length > 0) runWatchlistCheck(unchecked);
+    }
+    
+    if (foundEntries.length === 0) return;
+    
+    const totalNew = foundEntries.reduce((sum, found) => sum + found.count, 0);
+    const summary = foundEntries.map(found => `${found.entry.label}: ${found.count}`).join(', ');
+    
+    if (downloadConfig.watchlistAction === 'download' && !extensionState.isDownloading) {
+        notifyUser('watchlist', 'watchlist-new', `Downloading ${totalNew} new sounds`, summary);
+        for (const found of foundEntries) {
+            const result = await downloadWatchlistNewItems(found.entry.id);
+            if (result.ok) await result.download;
+        }
+    } else {
+        notifyUser('watchlist', 'watchlist-new', `${totalNew} new sounds on your watchlist`, `${summary}. Open the extension to download them.`);
+    }
+}
+
+async function scanWatchlistEntry(tabId, entry) {
+    const loaded = await navigateTabAndWait(tabId, entry.url);
+    if (!loaded) {
+        throw new Error('Page did not load');
+    }
+    await sleep(1500); // Let the content script initialize
+    
+    // A scheduled check cannot ask the user to solve a challenge, leave it for the next run
+    if (await isCloudflareChallengeInTab(tabId)) {
+        slowDownRequests('Cloudflare challenge', null);
+        throw new Error('Cloudflare check');
+    }
+    
+    const pageInfo = await getPageInfoFromTab(tabId);
+    const items = await scanTabInBackground(tabId);
+    return { items: items, pageInfo: pageInfo };
+}
+
+// Run the content-script scanner in a tab and wait for its results, routed back here by tab ID
+function scanTabInBackground(tabId) {
+    return new Promise((resolve, reject) => {
+        const finish = (callback) => (value) => {
+            clearTimeout(scanTimeout);
+            pendingTabScans.delete(tabId);
+            callback(value);
+        };
+        
+        const scanTimeout = setTimeout(() => {
+            finish(reject)(new Error('Page scan timed out'));
+        }, 60000);
+        pendingTabScans.set(tabId, { resolve: finish(resolve), reject: finish(reject) });
+        
+        const requestScan = () => chrome.tabs.sendMessage(tabId, { action: 'SCAN_SOUND_EFFECTS' });
+        requestScan().catch(async () => {
+            // Content script not there yet, inject it and ask once more
+            try {
+                await chrome.scripting.executeScript({
+                    target: { tabId: tabId },
+                    files: ['selector-profile.js', 'content-script.js']
+                });
+                await sleep(1000);
+                await requestScan();
+            } catch (error) {
+                if (pendingTabScans.has(tabId)) {
+                    pendingTabScans.get(tabId).reject(error);
+                }
+            }
+        });
+    });
+}
+
+// Download the sounds a watchlist entry found, into that entry's folder
+// Resolves once the download has started; `download` settles when it finishes
+async function downloadWatchlistNewItems(entryId) {
+    const watchlist = await loadWatchlist();
+    const entry = watchlist.find(candidate => candidate.id === entryId);
+    if (!entry || entry.newItems.length === 0) {
+        return { ok: false, error: 'No new sounds to download' };
+    }
+    
+    // Answer the caller instead of broadcasting DOWNLOAD_ERROR, which would reset the popup's view of the running download
+    if (extensionState.isDownloading) {
+        return { ok: false, error: 'A download is already running' };
+    }
+    
+    const items = entry.newItems;
+    entry.newItems = [];
+    await saveWatchlist(watchlist);
+    
+    console.log(`Downloading ${items.length} new sounds from watchlist entry "${entry.label}"`);
+    return { ok: true, download: handleStartDownload({ items: items, pageInfo: entry.pageInfo }, null) };
+}
+
 // Auto-like settings
 async function setAutoLikeSetting(enabled) {
     try {
@@ -1818,6 +4076,8 @@ async function getAutoLikeSetting() {
 // Download control functions
 function pauseDownload() {
     isDownloadPaused = true;
+    isCloudflarePaused = false; // A pause from the user outlasts the challenge
+    persistDownloadJob();
     updateExtensionState({
         isPaused: true,
         lastStatus: { icon: 'Pause', message: 'Download paused', type: 'warning' }
@@ -1829,6 +4089,7 @@ function pauseDownload() {
 
 function resumeDownload() {
     isDownloadPaused = false;
+    persistDownloadJob();
     updateExtensionState({
         isPaused: false,
         lastStatus: { icon: 'Play', message: 'Download resumed', type: 'success' }
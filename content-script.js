@@ -4,6 +4,33 @@ console.log('Pixabay Sound Effects Downloader content script loaded');
 let isContentScriptActive = false;
 let scrapingInProgress = false;
 let scrapingSessionId = null;
+let selectorProfile = mergeSelectorProfile(null); // From selector-profile.js, replaced once storage loads
+
+// Generic audio containers tried when the profile's row and card selectors find nothing
+const FALLBACK_AUDIO_SELECTORS = [
+    '[class*="audioRow"]',
+    '[class*="audio-row"]',
+    '[class*="sound-row"]',
+    '[class*="music-row"]',
+    '.audio-item',
+    '.sound-item',
+    '.music-item',
+    '[data-type="audio"]',
+    '[data-category="audio"]',
+    '[data-category="music"]',
+    '[data-category="sound-effects"]'
+];
+
+// Tried in order inside a container when the image alt and link text give no title
+const TITLE_SELECTORS = [
+    '[class*="title"]',
+    '[class*="name"]', 
+    'h3', 
+    'h4',
+    '.caption',
+    '.description',
+    '[aria-label]'
+];
 
 // Initialize content script
 function initializeContentScript() {
@@ -18,9 +45,20 @@ function initializeContentScript() {
         
         // Add visual indicators that scraping is available
         addScrapingIndicators();
+        startCardButtons();
         
         // Listen for messages from background script
         chrome.runtime.onMessage.addListener(handleBackgroundMessage);
+        
+        // Pick up the user's selector overrides, now and whenever they are edited in settings
+        loadSelectorProfile().then(profile => {
+            selectorProfile = profile;
+        });
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[SELECTOR_PROFILE_STORAGE_KEY]) {
+                selectorProfile = mergeSelectorProfile(changes[SELECTOR_PROFILE_STORAGE_KEY].newValue);
+            }
+        });
     }
 }
 
@@ -60,9 +98,91 @@ function addScrapingIndicators() {
     }, 3000);
 }
 
+// Small "Download" and "+ Queue" buttons on every audio card, re-applied as infinite scroll adds cards
+let cardButtonObserver = null;
+let cardButtonTimer = null;
+
+function startCardButtons() {
+    addCardButtons();
+    if (cardButtonObserver) return;
+    
+    cardButtonObserver = new MutationObserver(() => {
+        clearTimeout(cardButtonTimer);
+        cardButtonTimer = setTimeout(addCardButtons, 300);
+    });
+    cardButtonObserver.observe(document.body, { childList: true, subtree: true });
+}
+
+function addCardButtons() {
+    // Related-sound cards on a sound page are left alone: the download tab clicks that page's own buttons
+    if (isIndividualSoundPage()) return;
+    
+    findAudioContainers().forEach((container, index) => {
+        if (container.querySelector('.pixabay-card-actions') || !container.querySelector('a')) {
+            return;
+        }
+        
+        // No aria-label on the buttons: extraction reads [aria-label] as a title fallback
+        // Tooltips avoid the word "download" so DOWNLOAD_BUTTON_FALLBACK_SELECTORS never match them
+        const actions = document.createElement('div');
+        actions.className = 'pixabay-card-actions';
+        actions.appendChild(createCardButton('Download', 'Save this sound now', container, index, true));
+        actions.appendChild(createCardButton('+ Queue', 'Add this sound to the queue', container, index, false));
+        
+        container.classList.add('pixabay-card-host');
+        container.appendChild(actions);
+    });
+}
+
+// Sound pages look like /sound-effects/<slug>-<id>/ or /music/<slug>-<id>/
+function isIndividualSoundPage() {
+    return /^\/(sound-effects|music)\/[^\/]+-\d+\/?$/.test(window.location.pathname);
+}
+
+function createCardButton(label, tooltip, container, index, download) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pixabay-card-btn';
+    button.textContent = label;
+    button.title = tooltip;
+    button.addEventListener('click', (event) => {
+        // Cards are links, the buttons must not open the sound page
+        event.preventDefault();
+        event.stopPropagation();
+        sendCardItem(button, container, index, download);
+    });
+    return button;
+}
+
+async function sendCardItem(button, container, index, download) {
+    button.disabled = true;
+    
+    try {
+        const item = await extractSoundEffectOptimized(container, index);
+        if (!item) {
+            throw new Error('Card is not a downloadable sound');
+        }
+        
+        const response = await chrome.runtime.sendMessage({ action: 'QUEUE_SOUND_ITEM', item: item, download: download });
+        button.textContent = response && response.result === 'started' ? 'Downloading' : 'Queued';
+        button.classList.add('pixabay-card-btn-done');
+    } catch (error) {
+        // Also lands here when the extension was reloaded and this page still has the old script
+        console.error('Card button failed:', error);
+        button.textContent = 'Failed';
+        button.disabled = false;
+    }
+}
+
 function handleBackgroundMessage(message, sender, sendResponse) {
     console.log('Content script received message:', message);
     
+    // The download loop polls this while a challenge is showing, so answer it before the guard below
+    if (message.action === 'CHECK_CLOUDFLARE_CHALLENGE') {
+        sendResponse({ isChallenge: isCloudflareChallengePage() });
+        return;
+    }
+    
     // Check if we're on a Cloudflare challenge page
     if (isCloudflareChallengePage()) {
         console.log('Cloudflare challenge detected, waiting for completion...');
@@ -77,6 +197,9 @@ function handleBackgroundMessage(message, sender, sendResponse) {
         case 'CANCEL_SCAN':
             cancelCurrentScan();
             break;
+        case 'RUN_SELECTOR_DIAGNOSTICS':
+            sendResponse({ report: runSelectorDiagnostics() });
+            break;
     }
 }
 
@@ -276,13 +399,13 @@ function countSoundEffectsOnCurrentPageFast() {
     let audioCount = 0;
     
     // Method 1: Try to find audio-specific rows first
-    const audioRows = document.querySelectorAll('.audioRow--nAm4Z');
+    const audioRows = document.querySelectorAll(selectorProfile.selectors.audioRow);
     if (audioRows.length > 0) {
         return audioRows.length;
     }
     
     // Method 2: Filter overlay containers to only include audio content
-    const allContainers = document.querySelectorAll('.overlayContainer--0ZpHP');
+    const allContainers = document.querySelectorAll(selectorProfile.selectors.overlayContainer);
     allContainers.forEach(container => {
         if (isAudioContainer(container)) {
             audioCount++;
@@ -383,24 +506,7 @@ async function extractSoundEffectsOptimized(sessionId) {
     showScrapingProgress('Analyzing sound effects...');
     
     const soundEffects = [];
-    
-    // Method 1: Try audio-specific selectors first
-    let audioContainers = document.querySelectorAll('.audioRow--nAm4Z');
-    
-    // Method 2: If no audio rows found, filter overlay containers for audio content
-    if (audioContainers.length === 0) {
-        const allContainers = document.querySelectorAll('.overlayContainer--0ZpHP');
-        const filteredContainers = [];
-        
-        allContainers.forEach(container => {
-            if (isAudioContainer(container)) {
-                filteredContainers.push(container);
-            }
-        });
-        
-        audioContainers = filteredContainers;
-        console.log(`Filtered ${allContainers.length} containers down to ${audioContainers.length} audio containers`);
-    }
+    const audioContainers = findAudioContainers();
     
     if (audioContainers.length === 0) {
         // Try alternative selectors only if no audio content found
@@ -417,7 +523,7 @@ async function extractSoundEffectsOptimized(sessionId) {
             throw new Error('Scan cancelled');
         }
         
-        const batch = Array.from(audioContainers).slice(i, i + batchSize);
+        const batch = audioContainers.slice(i, i + batchSize);
         
         for (let j = 0; j < batch.length; j++) {
             const container = batch[j];
@@ -445,25 +551,22 @@ async function extractSoundEffectsOptimized(sessionId) {
     return soundEffects;
 }
 
+// Audio-specific rows first; without them, the overlay cards that look like audio
+function findAudioContainers() {
+    const audioRows = document.querySelectorAll(selectorProfile.selectors.audioRow);
+    if (audioRows.length > 0) {
+        return Array.from(audioRows);
+    }
+    
+    const allContainers = document.querySelectorAll(selectorProfile.selectors.overlayContainer);
+    return Array.from(allContainers).filter(container => isAudioContainer(container));
+}
+
 async function extractUsingFallbackSelectors(sessionId) {
     console.log('Using fallback selectors for audio content...');
     
     // More specific audio fallback selectors
-    const alternativeSelectors = [
-        '[class*="audioRow"]',
-        '[class*="audio-row"]',
-        '[class*="sound-row"]',
-        '[class*="music-row"]',
-        '.audio-item',
-        '.sound-item',
-        '.music-item',
-        '[data-type="audio"]',
-        '[data-category="audio"]',
-        '[data-category="music"]',
-        '[data-category="sound-effects"]'
-    ];
-    
-    for (const selector of alternativeSelectors) {
+    for (const selector of FALLBACK_AUDIO_SELECTORS) {
         // Check for cancellation
         if (!scrapingInProgress || scrapingSessionId !== sessionId) {
             throw new Error('Scan cancelled');
@@ -490,7 +593,7 @@ async function extractUsingFallbackSelectors(sessionId) {
     
     // Final fallback: manually filter all overlay containers
     console.log('Using manual filtering as final fallback...');
-    const allContainers = document.querySelectorAll('.overlayContainer--0ZpHP');
+    const allContainers = document.querySelectorAll(selectorProfile.selectors.overlayContainer);
     const audioContainers = [];
     
     for (let i = 0; i < allContainers.length && i < 100; i++) { // Limit for performance
@@ -605,17 +708,7 @@ async function extractSoundEffectOptimized(container, index) {
         
         if (!title) {
             // Try multiple selectors for title
-            const titleSelectors = [
-                '[class*="title"]',
-                '[class*="name"]', 
-                'h3', 
-                'h4',
-                '.caption',
-                '.description',
-                '[aria-label]'
-            ];
-            
-            for (const selector of titleSelectors) {
+            for (const selector of TITLE_SELECTORS) {
                 const titleElement = container.querySelector(selector);
                 if (titleElement) {
                     const extractedTitle = titleElement.textContent?.trim() || titleElement.getAttribute('aria-label')?.trim();
@@ -644,6 +737,9 @@ async function extractSoundEffectOptimized(container, index) {
         // Store both the individual page URL and current profile page URL
         const currentPageUrl = window.location.href;
         
+        // Duration, tags, creator and stats shown on the card (each may be missing)
+        const metadata = extractSoundMetadataFromCard(container);
+        
         console.log(`Successfully extracted audio item ${index}:`);
         console.log(`  - ID: ${itemId}`);
         console.log(`  - Title: ${title}`);
@@ -657,7 +753,14 @@ async function extractSoundEffectOptimized(container, index) {
             previewUrl: previewUrl,
             pageUrl: itemUrl, // Individual page URL for button clicking
             profileUrl: currentPageUrl, // Profile page URL as fallback
-            category: 'sound-effects',
+            category: metadata.category || getCategoryFromPageUrl(currentPageUrl) || 'sound-effects',
+            duration: metadata.duration,
+            durationSeconds: metadata.durationSeconds,
+            tags: metadata.tags,
+            creator: metadata.creator,
+            creatorUrl: metadata.creatorUrl,
+            likes: metadata.likes,
+            downloads: metadata.downloads,
             element: null, // Don't store DOM elements to prevent memory leaks
             useButtonClick: true, // Flag to indicate we should use button clicking
             // Add debug info
@@ -671,6 +774,217 @@ async function extractSoundEffectOptimized(container, index) {
     }
 }
 
+// Read the optional metadata a result card shows; missing fields stay null (tags stay empty)
+function extractSoundMetadataFromCard(container) {
+    const metadata = {
+        duration: null,
+        durationSeconds: null,
+        tags: [],
+        creator: null,
+        creatorUrl: null,
+        likes: null,
+        downloads: null,
+        category: null
+    };
+    
+    try {
+        // Duration, e.g. "0:12" or "1:02:30"
+        const durationSelectors = [
+            '[class*="duration"]',
+            '[class*="Duration"]',
+            '[class*="time"]',
+            'time'
+        ];
+        
+        for (const selector of durationSelectors) {
+            const element = container.querySelector(selector);
+            const durationMatch = element && (element.textContent || '').match(/\b(\d{1,2}:)?\d{1,2}:\d{2}\b/);
+            if (durationMatch) {
+                metadata.duration = durationMatch[0];
+                metadata.durationSeconds = durationMatch[0].split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+                break;
+            }
+        }
+        
+        // Tags link to search pages
+        const tagElements = container.querySelectorAll('a[href*="/search/"], [class*="tag"] a, a[class*="tag"]');
+        const tags = new Set();
+        tagElements.forEach(tagElement => {
+            const tag = tagElement.textContent?.trim().toLowerCase();
+            if (tag && tag.length > 1 && tag.length < 40) {
+                tags.add(tag);
+            }
+        });
+        metadata.tags = Array.from(tags);
+        
+        // Creator links to the user profile
+        const creatorElement = container.querySelector('a[href*="/users/"]');
+        if (creatorElement) {
+            metadata.creatorUrl = creatorElement.href;
+            metadata.creator = creatorElement.textContent?.trim() ||
+                               (creatorElement.href.match(/\/users\/([^\/\?]+?)(?:-\d+)?\/?(?:$|\?)/) || [])[1] ||
+                               null;
+        }
+        
+        // Like and download counts, from labels or from the element class names
+        metadata.likes = readCardCount(container, ['[class*="like"]', '[aria-label*="like" i]', '[title*="like" i]']);
+        metadata.downloads = readCardCount(container, ['[class*="download"]', '[aria-label*="download" i]', '[title*="download" i]']);
+        
+        // Category link on the card
+        const categoryElement = container.querySelector('a[href*="/category/"], [class*="category"] a');
+        if (categoryElement) {
+            metadata.category = categoryElement.textContent?.trim().toLowerCase() || null;
+        }
+    } catch (error) {
+        console.log('Error reading card metadata:', error);
+    }
+    
+    return metadata;
+}
+
+// Parse counts like "1,234" or "1.2k" from the first matching element
+function readCardCount(container, selectors) {
+    for (const selector of selectors) {
+        const element = container.querySelector(selector);
+        if (!element) continue;
+        
+        const text = `${element.textContent || ''} ${element.getAttribute('aria-label') || ''} ${element.getAttribute('title') || ''}`;
+        const countMatch = text.match(/(\d+(?:[.,]\d+)*)\s*([kKmM])?\b/);
+        if (countMatch) {
+            const suffix = (countMatch[2] || '').toLowerCase();
+            const multiplier = suffix === 'k' ? 1000 : suffix === 'm' ? 1000000 : 1;
+            const number = suffix ? parseFloat(countMatch[1].replace(',', '.')) : parseInt(countMatch[1].replace(/[.,]/g, ''));
+            return Math.round(number * multiplier);
+        }
+    }
+    
+    return null;
+}
+
+// Category from a listing URL like /sound-effects/nature/
+function getCategoryFromPageUrl(pageUrl) {
+    try {
+        const categoryMatch = new URL(pageUrl).pathname.match(/\/sound-effects\/([^\/\?]+)/);
+        if (categoryMatch && categoryMatch[1] !== 'search' && !/\d+$/.test(categoryMatch[1])) {
+            return decodeURIComponent(categoryMatch[1]);
+        }
+    } catch (error) {
+        // Not a valid URL
+    }
+    return null;
+}
+
+// Run every strategy the scanner and download helpers use and count what each one matches
+function runSelectorDiagnostics() {
+    const checks = [];
+    
+    const countMatches = (root, selector) => {
+        try {
+            return { count: root.querySelectorAll(selector).length, valid: true };
+        } catch (error) {
+            return { count: 0, valid: false };
+        }
+    };
+    
+    const addCheck = (group, name, selector, root = document) => {
+        const { count, valid } = countMatches(root, selector);
+        checks.push({ group: group, name: name, selector: selector, count: count, status: !valid ? 'invalid' : count > 0 ? 'ok' : 'none' });
+        return count;
+    };
+    
+    // Every entry of the selector profile, page wide
+    Object.keys(selectorProfile.selectors).forEach(key => {
+        addCheck('Selector profile', key, selectorProfile.selectors[key]);
+    });
+    
+    // Scanner strategy 1: audio rows
+    const audioRowCount = addCheck('Scanner', 'Strategy 1: audio rows', selectorProfile.selectors.audioRow);
+    
+    // Scanner strategy 2: overlay containers filtered by isAudioContainer
+    let overlayContainers = [];
+    try {
+        overlayContainers = Array.from(document.querySelectorAll(selectorProfile.selectors.overlayContainer));
+    } catch (error) {
+        // Reported as invalid by the profile check above
+    }
+    const audioOverlayContainers = overlayContainers.filter(container => isAudioContainer(container));
+    checks.push({
+        group: 'Scanner',
+        name: 'Strategy 2: overlay containers passing isAudioContainer',
+        selector: selectorProfile.selectors.overlayContainer,
+        count: audioOverlayContainers.length,
+        status: audioOverlayContainers.length > 0 ? 'ok' : 'none',
+        note: `${overlayContainers.length} containers before filtering`
+    });
+    
+    // Scanner strategy 3: extractUsingFallbackSelectors
+    let firstFallbackSelector = null;
+    FALLBACK_AUDIO_SELECTORS.forEach(selector => {
+        const count = addCheck('Fallback selectors', selector, selector);
+        if (count > 0 && !firstFallbackSelector) {
+            firstFallbackSelector = selector;
+        }
+    });
+    
+    // The containers a scan would actually use, for the title checks
+    let scanContainers = [];
+    let scanStrategy = 'none';
+    if (audioRowCount > 0) {
+        scanContainers = Array.from(document.querySelectorAll(selectorProfile.selectors.audioRow));
+        scanStrategy = 'audio rows';
+    } else if (audioOverlayContainers.length > 0) {
+        scanContainers = audioOverlayContainers;
+        scanStrategy = 'overlay containers';
+    } else if (firstFallbackSelector) {
+        scanContainers = Array.from(document.querySelectorAll(firstFallbackSelector));
+        scanStrategy = `fallback selector ${firstFallbackSelector}`;
+    }
+    
+    // Title sources inside the scan containers
+    const sampleContainers = scanContainers.slice(0, 20);
+    const titleSources = [
+        { name: 'img[alt]', selector: 'img[alt]' },
+        { name: 'link text', selector: 'a' }
+    ].concat(TITLE_SELECTORS.map(selector => ({ name: selector, selector: selector })));
+    
+    titleSources.forEach(source => {
+        const matched = sampleContainers.filter(container => countMatches(container, source.selector).count > 0).length;
+        checks.push({
+            group: 'Title selectors',
+            name: source.name,
+            selector: source.selector,
+            count: matched,
+            status: matched > 0 ? 'ok' : 'none',
+            note: `containers with a match, out of ${sampleContainers.length} sampled`
+        });
+    });
+    
+    // Download button strategies from clickDownloadButtonOnPage (only present on individual sound pages)
+    let actionButtonsElement = null;
+    try {
+        actionButtonsElement = document.querySelector(selectorProfile.selectors.actionButtons);
+    } catch (error) {
+        // Reported as invalid by the profile check above
+    }
+    if (actionButtonsElement) {
+        addCheck('Download button', 'downloadButton inside actionButtons', selectorProfile.selectors.downloadButton, actionButtonsElement);
+        addCheck('Download button', 'downloadButtonFallback inside actionButtons', selectorProfile.selectors.downloadButtonFallback, actionButtonsElement);
+    }
+    DOWNLOAD_BUTTON_FALLBACK_SELECTORS.forEach(selector => {
+        addCheck('Download button', selector, selector);
+    });
+    
+    return {
+        generatedAt: new Date().toISOString(),
+        pageUrl: window.location.href,
+        userAgent: navigator.userAgent,
+        scanStrategy: scanStrategy,
+        scanContainerCount: scanContainers.length,
+        isIndividualSoundPage: !!actionButtonsElement,
+        checks: checks
+    };
+}
+
 // Keep the old extraction functions for download-time use
 async function extractAudioUrlFromPage(pageUrl) {
     try {
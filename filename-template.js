@@ -0,0 +1,207 @@
+// Filename template engine for the "Custom Pattern" naming option
+// Loaded by background.js (importScripts) and popup.html so downloads and the live preview match
+//
+// Template syntax: {token[:format][|filter...]}
+//   {title} {id} {creator} {category} {page} {query} {duration} {tags}
+//   {index:000}         1-based position in the batch, zero padded to the format width
+//   {date:YYYY-MM-DD}   download date (YYYY, YY, MM, DD, HH, mm, ss)
+// Filters: |raw (keep case and spaces) |lower |upper |kebab |max:N (default max 50 characters)
+
+const DEFAULT_FILENAME_TEMPLATE = '{title}_{id}';
+const FILENAME_TEMPLATE_TOKENS = ['title', 'id', 'creator', 'category', 'index', 'date', 'page', 'query', 'duration', 'tags'];
+const FILENAME_TEMPLATE_FILTERS = ['raw', 'lower', 'upper', 'kebab', 'max'];
+const TEMPLATE_TOKEN_PATTERN = /\{(\w+)(?::([^|}]+))?((?:\|[^|}]+)*)\}/g;
+const TEMPLATE_DEFAULT_MAX_LENGTH = 50;
+const TEMPLATE_FILENAME_MAX_LENGTH = 150;
+const TEMPLATE_ILLEGAL_CHARACTERS = /[<>:"/\\|?*\x00-\x1f]/g;
+
+// Render a template into a filename (without extension)
+function renderFilenameTemplate(template, context) {
+    const source = template && template.trim() ? template : DEFAULT_FILENAME_TEMPLATE;
+    
+    const rendered = source.replace(TEMPLATE_TOKEN_PATTERN, (match, name, format, filterText) => {
+        const token = name.toLowerCase();
+        if (!FILENAME_TEMPLATE_TOKENS.includes(token)) {
+            return '';
+        }
+        
+        const value = resolveTemplateToken(token, format, context);
+        const filters = filterText ? filterText.split('|').filter(Boolean) : [];
+        return applyTemplateFilters(value, filters);
+    });
+    
+    return finalizeTemplateFilename(rendered);
+}
+
+// Report unknown tokens and filters so the popup can warn before saving
+function validateFilenameTemplate(template) {
+    const errors = [];
+    if (!template || !template.trim()) {
+        return errors;
+    }
+    
+    for (const match of template.matchAll(TEMPLATE_TOKEN_PATTERN)) {
+        const token = match[1].toLowerCase();
+        if (!FILENAME_TEMPLATE_TOKENS.includes(token)) {
+            errors.push(`Unknown token {${match[1]}}`);
+        }
+        
+        const filters = match[3] ? match[3].split('|').filter(Boolean) : [];
+        for (const filter of filters) {
+            const filterName = filter.split(':')[0].trim().toLowerCase();
+            if (!FILENAME_TEMPLATE_FILTERS.includes(filterName)) {
+                errors.push(`Unknown filter |${filter}`);
+            } else if (filterName === 'max' && !/^max:\d+$/i.test(filter.trim())) {
+                errors.push(`Filter |${filter} needs a number, e.g. |max:30`);
+            }
+        }
+    }
+    
+    if (template.replace(TEMPLATE_TOKEN_PATTERN, '').match(/[{}]/)) {
+        errors.push('Unbalanced { or } in pattern');
+    }
+    
+    return errors;
+}
+
+// Collect the values a template can reference for one sound effect
+function buildFilenameTemplateContext(soundEffect, index, pageInfo) {
+    const pageContext = parsePixabayPageUrl(soundEffect.profileUrl);
+    
+    return {
+        title: soundEffect.title || `sound_effect_${index}`,
+        id: soundEffect.id || index,
+        creator: soundEffect.creator || pageContext.creator || (pageInfo && pageInfo.creator) || '',
+        category: soundEffect.category || pageContext.category || '',
+        index: index + 1,
+        date: new Date(),
+        page: soundEffect.pageNumber || pageContext.page || (pageInfo && pageInfo.pageNumber) || 1,
+        query: pageContext.query || (pageInfo && pageInfo.query) || '',
+        duration: soundEffect.durationSeconds !== undefined && soundEffect.durationSeconds !== null ? `${soundEffect.durationSeconds}s` : '',
+        tags: Array.isArray(soundEffect.tags) ? soundEffect.tags.slice(0, 3).join('-') : ''
+    };
+}
+
+// Read creator, search query, category and page number from a Pixabay listing URL
+function parsePixabayPageUrl(pageUrl) {
+    const pageContext = { creator: '', query: '', category: '', page: null };
+    if (!pageUrl) return pageContext;
+    
+    try {
+        const url = new URL(pageUrl);
+        
+        // User URLs look like /users/name-12345/
+        const userMatch = url.pathname.match(/\/users\/([^\/\?]+)/);
+        if (userMatch) {
+            pageContext.creator = decodeURIComponent(userMatch[1]).replace(/-\d+$/, '');
+        }
+        
+        // Searches use ?q= or a /search/<query>/ path
+        const query = url.searchParams.get('q');
+        const searchMatch = url.pathname.match(/\/search\/([^\/\?]+)/);
+        if (query) {
+            pageContext.query = query;
+        } else if (searchMatch) {
+            pageContext.query = decodeURIComponent(searchMatch[1]);
+        }
+        
+        const categoryMatch = url.pathname.match(/\/sound-effects\/([^\/\?]+)/);
+        if (categoryMatch && categoryMatch[1] !== 'search' && !/^\d+$/.test(categoryMatch[1]) && !/-\d+$/.test(categoryMatch[1])) {
+            pageContext.category = decodeURIComponent(categoryMatch[1]);
+        }
+        
+        const pageParam = url.searchParams.get('pagi') || url.searchParams.get('page') || url.searchParams.get('p');
+        if (pageParam && /^\d+$/.test(pageParam)) {
+            pageContext.page = parseInt(pageParam);
+        }
+    } catch (error) {
+        // Not a valid URL, nothing to read
+    }
+    
+    return pageContext;
+}
+
+function resolveTemplateToken(token, format, context) {
+    switch (token) {
+        case 'index':
+            return formatTemplateNumber(context.index, format);
+        case 'page':
+            return formatTemplateNumber(context.page, format);
+        case 'date':
+            return formatTemplateDate(context.date, format || 'YYYY-MM-DD');
+        default:
+            return context[token] !== undefined && context[token] !== null ? String(context[token]) : '';
+    }
+}
+
+// "000" pads to three digits, "3" does the same
+function formatTemplateNumber(value, format) {
+    const text = String(value || 0);
+    if (!format) return text;
+    
+    const width = /^0+$/.test(format) ? format.length : parseInt(format);
+    return width > 0 ? text.padStart(width, '0') : text;
+}
+
+function formatTemplateDate(date, format) {
+    const pad = (number) => String(number).padStart(2, '0');
+    const parts = {
+        YYYY: String(date.getFullYear()),
+        YY: String(date.getFullYear()).slice(-2),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    };
+    
+    return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, part => parts[part]);
+}
+
+function applyTemplateFilters(value, filters) {
+    const names = filters.map(filter => filter.split(':')[0].trim().toLowerCase());
+    let result = value;
+    
+    // Sanitize first: raw keeps case and spaces, default matches the other naming patterns
+    if (names.includes('raw')) {
+        result = result.replace(TEMPLATE_ILLEGAL_CHARACTERS, '_').replace(/\s+/g, ' ').trim();
+    } else {
+        result = result
+            .replace(TEMPLATE_ILLEGAL_CHARACTERS, '_')
+            .replace(/\s+/g, '_')
+            .replace(/_{2,}/g, '_')
+            .toLowerCase();
+    }
+    
+    let maxLength = TEMPLATE_DEFAULT_MAX_LENGTH;
+    for (const filter of filters) {
+        const [name, argument] = filter.split(':').map(part => part.trim());
+        switch (name.toLowerCase()) {
+            case 'lower':
+                result = result.toLowerCase();
+                break;
+            case 'upper':
+                result = result.toUpperCase();
+                break;
+            case 'kebab':
+                result = result.replace(/[\s_]+/g, '-').replace(/-{2,}/g, '-');
+                break;
+            case 'max':
+                if (/^\d+$/.test(argument || '')) {
+                    maxLength = parseInt(argument);
+                }
+                break;
+        }
+    }
+    
+    return result.substring(0, maxLength);
+}
+
+// Clean up literal text and separators left over from empty tokens
+function finalizeTemplateFilename(rendered) {
+    return rendered
+        .replace(TEMPLATE_ILLEGAL_CHARACTERS, '_')
+        .replace(/([_\-. ])\1+/g, '$1')
+        .replace(/^[_\-. ]+|[_\-. ]+$/g, '')
+        .substring(0, TEMPLATE_FILENAME_MAX_LENGTH);
+}
@@ -10,8 +10,16 @@ $requiredFiles = @(
     "content-script.js",
     "content-styles.css",
     "background.js",
+    "filename-template.js",
+    "selector-profile.js",
+    "settings-schema.js",
+    "job-state.js",
     "popup.html",
-    "popup.js"
+    "popup.js",
+    "sidepanel.html",
+    "sidepanel.js",
+    "options.html",
+    "options.js"
 )
 
 Write-Host "`nChecking required extension files..." -ForegroundColor Yellow
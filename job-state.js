@@ -0,0 +1,111 @@
+// Download job state shared by the popup and the side panel
+// Loaded by popup.html and sidepanel.html so both read and describe a batch the same way
+//
+// The background mirrors extensionState (without scannedItems, a few times a second at most) and the
+// running downloadJob to chrome.storage.local. Pages take one snapshot from the worker, then follow
+// storage instead of piecing the UI together from individual progress messages.
+
+const JOB_ITEM_STATUS_LABELS = {
+    pending: 'Queued',
+    'in-progress': 'Downloading',
+    done: 'Done',
+    skipped: 'Skipped',
+    failed: 'Failed'
+};
+
+// The worker answers after restoring its persisted state, so this is never a stale storage copy
+async function fetchJobState() {
+    const [response, stored] = await Promise.all([
+        chrome.runtime.sendMessage({ action: 'GET_EXTENSION_STATE' }),
+        chrome.storage.local.get(['downloadJob'])
+    ]);
+    
+    return {
+        state: response && response.state ? response.state : null,
+        job: stored.downloadJob || null
+    };
+}
+
+// Calls onChange({ state, job }) whenever the background persists either; job is null once a batch ends
+function watchJobState(snapshot, onChange) {
+    const current = { ...snapshot };
+    
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || (!changes.extensionState && !changes.downloadJob)) {
+            return;
+        }
+        
+        if (changes.extensionState) {
+            current.state = changes.extensionState.newValue || null;
+        }
+        if (changes.downloadJob) {
+            current.job = changes.downloadJob.newValue || null;
+        }
+        onChange({ ...current });
+    });
+}
+
+// Skipped and failed items count towards completion since they need no further work
+function getProgressPercentage(progress) {
+    if (!progress || !progress.total) return 0;
+    return ((progress.current + (progress.skipped || 0) + (progress.failed || 0)) / progress.total) * 100;
+}
+
+function formatProgressText(progress) {
+    if (!progress || !progress.total) {
+        return 'Preparing download...';
+    }
+    
+    const skippedText = progress.skipped > 0 ? `, ${progress.skipped} skipped` : '';
+    const failedText = progress.failed > 0 ? `, ${progress.failed} failed` : '';
+    return `${progress.current} / ${progress.total} downloaded${skippedText}${failedText} (${getProgressPercentage(progress).toFixed(1)}%)`;
+}
+
+// Effective request spacing from the background's adaptive rate limiter, '' when nothing is running
+function formatRequestRate(requestRate) {
+    if (!requestRate) return '';
+    
+    let text = `1 request every ${requestRate.delaySeconds.toFixed(1)}s`;
+    if (isRequestRateSlowed(requestRate)) {
+        text += ` (slowed down, configured ${requestRate.floorSeconds}s)`;
+    }
+    if (requestRate.cooldownUntil && requestRate.cooldownUntil > Date.now()) {
+        text += ` - server asked to wait until ${new Date(requestRate.cooldownUntil).toLocaleTimeString()}`;
+    }
+    return text;
+}
+
+function isRequestRateSlowed(requestRate) {
+    return !!requestRate && requestRate.delaySeconds > requestRate.floorSeconds;
+}
+
+function formatSkippedCount(skipped) {
+    return skipped > 0 ? ` ${skipped} already downloaded, skipped.` : '';
+}
+
+function formatFailedCount(failed) {
+    return failed > 0 ? ` ${failed} failed.` : '';
+}
+
+function formatFailureReason(failure) {
+    return `${failure.error || 'Unknown error'}${failure.attempts > 1 ? ` (${failure.attempts} attempts)` : ''}`;
+}
+
+// Per-status item counts of a job, e.g. { pending: 10, done: 4, failed: 1 }
+function countJobStatuses(job) {
+    const counts = {};
+    if (!job || !Array.isArray(job.statuses)) return counts;
+    
+    job.statuses.forEach(status => {
+        counts[status] = (counts[status] || 0) + 1;
+    });
+    return counts;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,291 @@
+// Options page script for Pixabay Sound Effects Downloader - all settings, plus export and import
+let downloadConfig = getDefaultSettings(); // Last saved settings
+let sampleItems = []; // First scanned items, so the pattern preview shows real names
+
+document.addEventListener('DOMContentLoaded', initializeOptions);
+
+async function initializeOptions() {
+    setupEventListeners();
+    
+    try {
+        downloadConfig = await loadSettings();
+        updateConfigurationUI();
+        
+        await loadSampleItems();
+        updateTemplatePreview();
+        
+        await loadSelectorProfileEditor();
+        updateStatusMessage('Settings loaded');
+    } catch (error) {
+        console.error('Error loading settings page:', error);
+        updateStatusMessage('Error loading settings', 'error');
+    }
+}
+
+function setupEventListeners() {
+    document.getElementById('saveConfigBtn').addEventListener('click', saveConfiguration);
+    document.getElementById('resetConfigBtn').addEventListener('click', resetConfiguration);
+    
+    // Export and import
+    document.getElementById('exportSettingsBtn').addEventListener('click', exportSettings);
+    document.getElementById('importSettingsBtn').addEventListener('click', () => {
+        document.getElementById('settingsFile').click();
+    });
+    document.getElementById('settingsFile').addEventListener('change', async (e) => {
+        if (e.target.files.length > 0) {
+            await importSettings(await e.target.files[0].text());
+            e.target.value = '';
+        }
+    });
+    
+    // Selector profile editor
+    document.getElementById('saveSelectorsBtn').addEventListener('click', () => {
+        saveSelectorProfile(document.getElementById('selectorProfileJson').value);
+    });
+    document.getElementById('importSelectorsBtn').addEventListener('click', () => {
+        document.getElementById('selectorProfileFile').click();
+    });
+    document.getElementById('selectorProfileFile').addEventListener('change', async (e) => {
+        if (e.target.files.length > 0) {
+            await saveSelectorProfile(await e.target.files[0].text());
+            e.target.value = '';
+        }
+    });
+    document.getElementById('resetSelectorsBtn').addEventListener('click', resetSelectorProfile);
+    
+    // Show the custom location and custom pattern fields only when they are chosen
+    document.getElementById('downloadLocation').addEventListener('change', (e) => {
+        document.getElementById('customLocationGroup').classList.toggle('hidden', e.target.value !== 'custom');
+    });
+    document.getElementById('fileNamingPattern').addEventListener('change', (e) => {
+        document.getElementById('customPatternGroup').classList.toggle('hidden', e.target.value !== 'custom');
+        updateTemplatePreview();
+    });
+    document.getElementById('fileNamingTemplate').addEventListener('input', updateTemplatePreview);
+}
+
+function updateStatusMessage(message, type = '') {
+    const statusBar = document.getElementById('statusBar');
+    statusBar.textContent = message;
+    statusBar.className = `status-bar ${type}`;
+}
+
+function updateConfigurationUI() {
+    document.getElementById('downloadLocation').value = downloadConfig.downloadLocation;
+    document.getElementById('customLocationPath').value = downloadConfig.customLocationPath;
+    document.getElementById('mainFolderName').value = downloadConfig.mainFolderName;
+    document.getElementById('sortIntoUserFolders').checked = downloadConfig.sortIntoUserFolders;
+    document.getElementById('fileNamingPattern').value = downloadConfig.fileNamingPattern;
+    document.getElementById('audioQuality').value = downloadConfig.audioQuality;
+    document.getElementById('downloadDelay').value = downloadConfig.downloadDelay;
+    document.getElementById('downloadConcurrency').value = downloadConfig.downloadConcurrency;
+    document.getElementById('fileNamingTemplate').value = downloadConfig.fileNamingTemplate;
+    document.getElementById('writeMetadataSidecar').checked = downloadConfig.writeMetadataSidecar;
+    document.getElementById('retryAttempts').value = downloadConfig.retryAttempts;
+    document.getElementById('retryBaseDelay').value = downloadConfig.retryBaseDelay;
+    document.querySelectorAll('.retry-error-class').forEach(checkbox => {
+        checkbox.checked = downloadConfig.retryErrorClasses.includes(checkbox.value);
+    });
+    document.getElementById('watchlistIntervalHours').value = downloadConfig.watchlistIntervalHours;
+    document.getElementById('watchlistAction').value = downloadConfig.watchlistAction;
+    document.querySelectorAll('.notification-event').forEach(checkbox => {
+        checkbox.checked = downloadConfig.notificationEvents[checkbox.value] !== false;
+    });
+    
+    document.getElementById('customLocationGroup').classList.toggle('hidden', downloadConfig.downloadLocation !== 'custom');
+    document.getElementById('customPatternGroup').classList.toggle('hidden', downloadConfig.fileNamingPattern !== 'custom');
+    updateTemplatePreview();
+}
+
+// Raw form values; normalizeSettings turns the select strings into numbers
+function readConfigurationForm() {
+    return {
+        downloadLocation: document.getElementById('downloadLocation').value,
+        customLocationPath: document.getElementById('customLocationPath').value,
+        mainFolderName: document.getElementById('mainFolderName').value,
+        sortIntoUserFolders: document.getElementById('sortIntoUserFolders').checked,
+        fileNamingPattern: document.getElementById('fileNamingPattern').value,
+        audioQuality: document.getElementById('audioQuality').value,
+        downloadDelay: document.getElementById('downloadDelay').value,
+        downloadConcurrency: document.getElementById('downloadConcurrency').value,
+        fileNamingTemplate: document.getElementById('fileNamingTemplate').value,
+        writeMetadataSidecar: document.getElementById('writeMetadataSidecar').checked,
+        retryAttempts: document.getElementById('retryAttempts').value,
+        retryBaseDelay: document.getElementById('retryBaseDelay').value,
+        retryErrorClasses: Array.from(document.querySelectorAll('.retry-error-class:checked')).map(checkbox => checkbox.value),
+        watchlistIntervalHours: document.getElementById('watchlistIntervalHours').value,
+        watchlistAction: document.getElementById('watchlistAction').value,
+        notificationEvents: Object.fromEntries(Array.from(document.querySelectorAll('.notification-event')).map(checkbox => [checkbox.value, checkbox.checked]))
+    };
+}
+
+async function saveConfiguration() {
+    // Refuse to save anything the schema rejects, e.g. a custom pattern with unknown tokens
+    const { settings, errors } = normalizeSettings(readConfigurationForm());
+    if (errors.length > 0) {
+        updateStatusMessage(errors[0], 'error');
+        return;
+    }
+    
+    try {
+        await applySettings(settings);
+        updateStatusMessage('Configuration saved successfully', 'success');
+    } catch (error) {
+        console.error('Error saving configuration:', error);
+        updateStatusMessage('Error saving configuration', 'error');
+    }
+}
+
+async function resetConfiguration() {
+    try {
+        await applySettings(getDefaultSettings());
+        updateStatusMessage('Settings reset to defaults', 'success');
+    } catch (error) {
+        console.error('Error resetting configuration:', error);
+        updateStatusMessage('Error resetting configuration', 'error');
+    }
+}
+
+// Store settings, show them and hand them to the running background worker
+async function applySettings(settings) {
+    downloadConfig = await saveSettings(settings);
+    updateConfigurationUI();
+    
+    await chrome.runtime.sendMessage({
+        action: 'UPDATE_CONFIG',
+        config: downloadConfig
+    });
+    console.log('Configuration saved:', downloadConfig);
+}
+
+// Exports what is saved, not unsaved edits in the form
+async function exportSettings() {
+    try {
+        const result = await chrome.storage.local.get([SELECTOR_PROFILE_STORAGE_KEY]);
+        const content = JSON.stringify(buildSettingsExport(downloadConfig, result[SELECTOR_PROFILE_STORAGE_KEY]), null, 2);
+        
+        const blobUrl = URL.createObjectURL(new Blob([content], { type: 'application/json;charset=utf-8' }));
+        await chrome.downloads.download({
+            url: blobUrl,
+            filename: `pixabay-downloader-settings_${new Date().toISOString().slice(0, 10)}.json`,
+            saveAs: false,
+            conflictAction: 'uniquify'
+        });
+        
+        // Give Chrome a moment to read the blob before releasing it
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 10000);
+        
+        updateStatusMessage('Settings exported', 'success');
+    } catch (error) {
+        console.error('Error exporting settings:', error);
+        updateStatusMessage(`Export failed: ${error.message}`, 'error');
+    }
+}
+
+// Valid values are applied even when others are not, so a file from a newer version still mostly works
+// Settings the file leaves out or gets wrong keep their current value
+async function importSettings(json) {
+    const { settings, selectorOverrides, errors } = parseSettingsImport(json, downloadConfig);
+    
+    if (!settings) {
+        updateStatusMessage(`Import failed: ${errors[0]}`, 'error');
+        return;
+    }
+    
+    try {
+        await applySettings(settings);
+        
+        if (selectorOverrides) {
+            await chrome.storage.local.set({ [SELECTOR_PROFILE_STORAGE_KEY]: selectorOverrides });
+            await loadSelectorProfileEditor();
+        }
+        
+        if (errors.length > 0) {
+            updateStatusMessage(`Settings imported, kept the current value for ${errors.length} invalid entr${errors.length === 1 ? 'y' : 'ies'}: ${errors.join(' • ')}`, 'error');
+        } else {
+            updateStatusMessage('Settings imported', 'success');
+        }
+    } catch (error) {
+        console.error('Error importing settings:', error);
+        updateStatusMessage(`Import failed: ${error.message}`, 'error');
+    }
+}
+
+// Show the effective selector profile (built-in plus overrides) as editable JSON
+async function loadSelectorProfileEditor() {
+    const result = await chrome.storage.local.get([SELECTOR_PROFILE_STORAGE_KEY]);
+    const overrides = result[SELECTOR_PROFILE_STORAGE_KEY] || {};
+    
+    document.getElementById('selectorProfileJson').value = JSON.stringify(mergeSelectorProfile(overrides), null, 2);
+    
+    const overrideCount = Object.keys(overrides).length;
+    const statusEl = document.getElementById('selectorProfileStatus');
+    statusEl.classList.remove('error');
+    statusEl.textContent = overrideCount > 0
+        ? `Built-in profile v${SELECTOR_PROFILE_VERSION} with ${overrideCount} custom selector${overrideCount === 1 ? '' : 's'}`
+        : `Built-in profile v${SELECTOR_PROFILE_VERSION}`;
+}
+
+// Store only the selectors that differ from the built-in profile; content and background scripts pick them up from storage
+async function saveSelectorProfile(json) {
+    const statusEl = document.getElementById('selectorProfileStatus');
+    const { overrides, errors } = parseSelectorProfile(json);
+    
+    if (errors.length > 0) {
+        statusEl.classList.add('error');
+        statusEl.textContent = errors.join(' • ');
+        return;
+    }
+    
+    try {
+        await chrome.storage.local.set({ [SELECTOR_PROFILE_STORAGE_KEY]: overrides });
+        await loadSelectorProfileEditor();
+        updateStatusMessage('Page selectors saved', 'success');
+    } catch (error) {
+        console.error('Error saving selector profile:', error);
+        updateStatusMessage('Error saving page selectors', 'error');
+    }
+}
+
+async function resetSelectorProfile() {
+    try {
+        await chrome.storage.local.remove(SELECTOR_PROFILE_STORAGE_KEY);
+        await loadSelectorProfileEditor();
+        updateStatusMessage('Page selectors reset to built-in profile', 'success');
+    } catch (error) {
+        console.error('Error resetting selector profile:', error);
+        updateStatusMessage('Error resetting page selectors', 'error');
+    }
+}
+
+// The background persists the last scan results under their own key
+async function loadSampleItems() {
+    const result = await chrome.storage.local.get(['scannedItems']);
+    const scannedItems = result.scannedItems;
+    sampleItems = Array.isArray(scannedItems) ? scannedItems.slice(0, 3) : [];
+}
+
+// Render the custom pattern against the first scanned items so users see the result before downloading
+function updateTemplatePreview() {
+    const template = document.getElementById('fileNamingTemplate').value;
+    const previewEl = document.getElementById('templatePreview');
+    const errors = validateFilenameTemplate(template);
+    
+    if (errors.length > 0) {
+        previewEl.classList.add('error');
+        previewEl.textContent = errors.join(' • ');
+        return;
+    }
+    
+    const items = sampleItems.length > 0 ? sampleItems : [{
+        id: '12345',
+        title: 'Door Slam Heavy',
+        profileUrl: 'https://pixabay.com/users/sounduser-98765/',
+        pageNumber: 1
+    }];
+    
+    previewEl.classList.remove('error');
+    previewEl.textContent = items
+        .map((item, index) => `${renderFilenameTemplate(template, buildFilenameTemplateContext(item, index, null)) || `${item.title}_${item.id}`}.mp3`)
+        .join('\n');
+}
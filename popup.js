@@ -5,7 +5,13 @@ let isScanning = false;
 let isDownloading = false;
 let isPaused = false;
 let scannedItems = [];
-let downloadConfig = {}; // Store configuration
+let selectedItemIds = new Set(); // IDs checked in the items list
+let itemFilterText = '';
+let itemSortBy = 'order';
+let previewAudio = null; // Single shared player so only one item plays at a time
+let playingItemId = null;
+let loadingPreviewId = null;
+let downloadConfig = getDefaultSettings(); // Saved settings, edited on the options page
 
 // Initialize immediately when DOM is ready
 document.addEventListener('DOMContentLoaded', initializePopup);
@@ -30,149 +36,25 @@ async function initializePopup() {
         // Load auto-like setting
         await loadAutoLikeSetting();
         
+        // Show how many sounds are already in the download history
+        await loadLedgerStats();
+        
     } catch (error) {
         console.error('Error initializing popup:', error);
         updateStatusMessage('X', 'Error loading extension', 'error');
     }
 }
 
-// Configuration Management
+// Configuration lives on the options page; the popup only reads it for scans and downloads
 async function loadConfiguration() {
-    try {
-        const result = await chrome.storage.local.get([
-            'downloadLocation',
-            'customLocationPath',
-            'mainFolderName',
-            'sortIntoUserFolders',
-            'fileNamingPattern',
-            'audioQuality',
-            'downloadDelay'
-        ]);
-        
-        // Set default configuration
-        downloadConfig = {
-            downloadLocation: result.downloadLocation || 'downloads',
-            customLocationPath: result.customLocationPath || '',
-            mainFolderName: result.mainFolderName || 'PixabayAudio',
-            sortIntoUserFolders: result.sortIntoUserFolders !== undefined ? result.sortIntoUserFolders : true,
-            fileNamingPattern: result.fileNamingPattern || 'title_id',
-            audioQuality: result.audioQuality || 'highest',
-            downloadDelay: result.downloadDelay || 2
-        };
-        
-        // Update UI with loaded configuration
-        updateConfigurationUI();
-        
-        console.log('Configuration loaded:', downloadConfig);
-    } catch (error) {
-        console.error('Error loading configuration:', error);
-        // Use default configuration
-        downloadConfig = {
-            downloadLocation: 'downloads',
-            customLocationPath: '',
-            mainFolderName: 'PixabayAudio',
-            sortIntoUserFolders: true,
-            fileNamingPattern: 'title_id',
-            audioQuality: 'highest',
-            downloadDelay: 2
-        };
-    }
-}
-
-function updateConfigurationUI() {
-    // Update form fields with loaded configuration
-    document.getElementById('downloadLocation').value = downloadConfig.downloadLocation;
-    document.getElementById('customLocationPath').value = downloadConfig.customLocationPath;
-    document.getElementById('mainFolderName').value = downloadConfig.mainFolderName;
-    document.getElementById('sortIntoUserFolders').checked = downloadConfig.sortIntoUserFolders;
-    document.getElementById('fileNamingPattern').value = downloadConfig.fileNamingPattern;
-    document.getElementById('audioQuality').value = downloadConfig.audioQuality;
-    document.getElementById('downloadDelay').value = downloadConfig.downloadDelay;
-    
-    // Show/hide custom location group based on selection
-    const customLocationGroup = document.getElementById('customLocationGroup');
-    if (downloadConfig.downloadLocation === 'custom') {
-        customLocationGroup.classList.remove('hidden');
-    } else {
-        customLocationGroup.classList.add('hidden');
-    }
-    
-    console.log('Configuration UI updated with loaded settings');
-}
-
-async function saveConfiguration() {
-    try {
-        // Get values from form
-        downloadConfig = {
-            downloadLocation: document.getElementById('downloadLocation').value,
-            customLocationPath: document.getElementById('customLocationPath').value,
-            mainFolderName: document.getElementById('mainFolderName').value.trim() || 'PixabayAudio',
-            sortIntoUserFolders: document.getElementById('sortIntoUserFolders').checked,
-            fileNamingPattern: document.getElementById('fileNamingPattern').value,
-            audioQuality: document.getElementById('audioQuality').value,
-            downloadDelay: parseInt(document.getElementById('downloadDelay').value)
-        };
-        
-        // Save to storage
-        await chrome.storage.local.set(downloadConfig);
-        
-        // Send configuration to background script
-        await chrome.runtime.sendMessage({
-            action: 'UPDATE_CONFIG',
-            config: downloadConfig
-        });
-        
-        // Show success message
-        updateStatusMessage('Check', 'Configuration saved successfully', 'success');
-        
-        console.log('Configuration saved:', downloadConfig);
-    } catch (error) {
-        console.error('Error saving configuration:', error);
-        updateStatusMessage('X', 'Error saving configuration', 'error');
-    }
-}
-
-function resetConfiguration() {
-    // Reset to default values
-    downloadConfig = {
-        downloadLocation: 'downloads',
-        customLocationPath: '',
-        mainFolderName: 'PixabayAudio',
-        sortIntoUserFolders: true,
-        fileNamingPattern: 'title_id',
-        audioQuality: 'highest',
-        downloadDelay: 2
-    };
-    
-    // Update UI
-    updateConfigurationUI();
-    
-    // Save the reset configuration
-    saveConfiguration();
-}
-
-function toggleConfigSection() {
-    const configSection = document.getElementById('configSection');
-    const settingsCog = document.getElementById('settingsCog');
-    
-    if (configSection.classList.contains('visible')) {
-        // Hide configuration
-        configSection.classList.remove('visible');
-        settingsCog.classList.remove('active');
-        console.log('Configuration panel hidden');
-    } else {
-        // Show configuration
-        configSection.classList.add('visible');
-        settingsCog.classList.add('active');
-        console.log('Configuration panel shown');
-    }
+    downloadConfig = await loadSettings();
+    console.log('Configuration loaded:', downloadConfig);
 }
 
 async function restoreExtensionState() {
     try {
-        const response = await chrome.runtime.sendMessage({ action: 'GET_EXTENSION_STATE' });
-        if (response && response.state) {
-            const state = response.state;
+        const { state } = await fetchJobState();
+        if (state) {
             console.log('Restoring extension state:', state);
             
             // Restore variables
@@ -191,13 +73,35 @@ async function restoreExtensionState() {
                 const scanBtn = document.getElementById('scanBtn');
                 scanBtn.innerHTML = '<div class="spinner"></div> Scanning for sound effects...';
                 scanBtn.disabled = true;
+                
+                if (state.crawlProgress) {
+                    updateCrawlProgress(state.crawlProgress.page, state.crawlProgress.endPage || state.crawlProgress.totalPages, state.crawlProgress.itemsFound);
+                }
             }
             
-            // Restore scanned items if any
+            // Restore scanned items and the user's selection, filter and sort
             if (scannedItems.length > 0) {
-                showItemsList(scannedItems);
+                const selection = state.itemSelection;
+                if (selection && Array.isArray(selection.selectedIds)) {
+                    selectedItemIds = new Set(selection.selectedIds.map(String));
+                    itemFilterText = selection.filter || '';
+                    itemSortBy = selection.sortBy || 'order';
+                    showItemsList(scannedItems, false);
+                } else {
+                    showItemsList(scannedItems);
+                }
+                showDownloadSection();
+            }
+            
+            // Show what failed in the last (or current) batch
+            if (state.failedDownloads && state.failedDownloads.length > 0) {
                 showDownloadSection();
-                document.getElementById('soundEffectsCount').textContent = scannedItems.length;
+                showFailedDownloads(state.failedDownloads);
+            }
+            
+            // Offer to resume a batch that was cut off by a worker or browser restart
+            if (state.resumableJob && !isDownloading) {
+                showResumeSection(state.resumableJob);
             }
             
             // Restore download state
@@ -212,8 +116,9 @@ async function restoreExtensionState() {
                 
                 // Restore progress if available
                 if (state.currentProgress) {
-                    updateProgress(state.currentProgress.current, state.currentProgress.total);
+                    updateProgress(state.currentProgress.current, state.currentProgress.total, state.currentProgress.skipped, state.currentProgress.failed);
                 }
+                updateRateInfo(state.requestRate);
                 
                 // Restore pause/resume button states
                 if (isPaused) {
@@ -233,25 +138,75 @@ async function restoreExtensionState() {
 }
 
 function setupEventListeners() {
-    // Configuration event listeners - Updated for new cog button
-    document.getElementById('settingsCog').addEventListener('click', toggleConfigSection);
-    document.getElementById('saveConfigBtn').addEventListener('click', saveConfiguration);
-    document.getElementById('resetConfigBtn').addEventListener('click', resetConfiguration);
-    
-    // Handle download location change
-    document.getElementById('downloadLocation').addEventListener('change', (e) => {
-        const customLocationGroup = document.getElementById('customLocationGroup');
-        if (e.target.value === 'custom') {
-            customLocationGroup.classList.remove('hidden');
+    // Settings open on the options page
+    document.getElementById('settingsCog').addEventListener('click', () => chrome.runtime.openOptionsPage());
+    
+    // Show page range inputs only when crawling
+    document.getElementById('crawlAllPages').addEventListener('change', (e) => {
+        const crawlRangeGroup = document.getElementById('crawlRangeGroup');
+        if (e.target.checked) {
+            crawlRangeGroup.classList.remove('hidden');
         } else {
-            customLocationGroup.classList.add('hidden');
+            crawlRangeGroup.classList.add('hidden');
+        }
+    });
+    
+    // Items list preview, selection, filter and sort
+    document.getElementById('itemsContainer').addEventListener('click', (e) => {
+        const previewBtn = e.target.closest('.item-preview');
+        if (previewBtn) {
+            togglePreview(previewBtn.dataset.id);
         }
     });
+    document.getElementById('itemsContainer').addEventListener('change', (e) => {
+        if (!e.target.classList.contains('item-checkbox')) return;
+        if (e.target.checked) {
+            selectedItemIds.add(e.target.dataset.id);
+        } else {
+            selectedItemIds.delete(e.target.dataset.id);
+        }
+        updateItemsList();
+        saveItemSelection();
+    });
+    document.getElementById('itemsFilter').addEventListener('input', (e) => {
+        itemFilterText = e.target.value;
+        updateItemsList();
+        saveItemSelection();
+    });
+    document.getElementById('itemsSort').addEventListener('change', (e) => {
+        itemSortBy = e.target.value;
+        updateItemsList();
+        saveItemSelection();
+    });
+    document.getElementById('selectAllBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        changeItemSelection('all');
+    });
+    document.getElementById('selectNoneBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        changeItemSelection('none');
+    });
+    document.getElementById('invertSelectionBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        changeItemSelection('invert');
+    });
+    
+    // Import panel
+    document.getElementById('importToggleBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        document.getElementById('importPanel').classList.toggle('hidden');
+    });
+    document.getElementById('importBtn').addEventListener('click', importSoundList);
     
     // Separate scan and download buttons
     document.getElementById('scanBtn').addEventListener('click', () => startSoundEffectsScan());
     document.getElementById('downloadBtn').addEventListener('click', () => startSoundEffectsDownload());
     
+    // Interrupted download buttons
+    document.getElementById('resumeJobBtn').addEventListener('click', resumeInterruptedDownload);
+    document.getElementById('discardJobBtn').addEventListener('click', discardInterruptedDownload);
+    document.getElementById('retryFailedBtn').addEventListener('click', retryFailedDownloads);
+    
     // Download control buttons
     document.getElementById('pauseBtn').addEventListener('click', pauseDownload);
     document.getElementById('resumeBtn').addEventListener('click', resumeDownload);
@@ -273,6 +228,63 @@ function setupEventListeners() {
         e.preventDefault();
         clearScannedItems();
     });
+    
+    document.getElementById('exportCsvBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        exportScannedItems('csv');
+    });
+    
+    document.getElementById('exportJsonBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        exportScannedItems('json');
+    });
+    
+    document.getElementById('diagnosticsBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        runSelectorDiagnostics();
+    });
+    document.getElementById('copyDiagnosticsBtn').addEventListener('click', copyDiagnosticsReport);
+    document.getElementById('downloadDiagnosticsBtn').addEventListener('click', downloadDiagnosticsReport);
+    document.getElementById('closeDiagnosticsBtn').addEventListener('click', () => {
+        document.getElementById('diagnosticsSection').classList.add('hidden');
+    });
+    
+    document.getElementById('clearLedgerBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        clearLedger();
+    });
+    
+    // sidePanel.open only works inside the click's user gesture, so the window is looked up beforehand
+    let popupWindowId = null;
+    chrome.windows.getCurrent().then(currentWindow => {
+        popupWindowId = currentWindow.id;
+    });
+    document.getElementById('sidePanelBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        openSidePanel(popupWindowId);
+    });
+    
+    // Watchlist panel
+    document.getElementById('watchlistBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        toggleWatchlistSection();
+    });
+    document.getElementById('watchPageBtn').addEventListener('click', addCurrentPageToWatchlist);
+    document.getElementById('checkWatchlistBtn').addEventListener('click', checkWatchlistNow);
+    document.getElementById('closeWatchlistBtn').addEventListener('click', () => {
+        document.getElementById('watchlistSection').classList.add('hidden');
+    });
+    document.getElementById('watchlistEntries').addEventListener('click', (e) => {
+        const actionLink = e.target.closest('[data-watch-action]');
+        if (!actionLink) return;
+        e.preventDefault();
+        
+        if (actionLink.dataset.watchAction === 'download') {
+            downloadWatchlistNewItems(actionLink.dataset.id);
+        } else if (actionLink.dataset.watchAction === 'remove') {
+            removeWatchlistEntry(actionLink.dataset.id);
+        }
+    });
 }
 
 async function updateStatus() {
@@ -482,15 +494,22 @@ async function startSoundEffectsScan() {
         
         console.log('Sending sound effects scan request to background script...');
         
+        const crawlOptions = getCrawlOptions();
+        
         // Send message to background script to start scanning
         const response = await chrome.runtime.sendMessage({
             action: 'START_SOUND_EFFECTS_SCAN',
             tabId: activeTab.id,
-            config: downloadConfig // Include configuration
+            config: downloadConfig, // Include configuration
+            crawl: crawlOptions
         });
         
         console.log('Background script response:', response);
-        updateStatusMessage('Search', 'Scanning current page for sound effects...', 'success');
+        if (crawlOptions.enabled) {
+            updateStatusMessage('Search', 'Crawling result pages for sound effects...', 'success');
+        } else {
+            updateStatusMessage('Search', 'Scanning current page for sound effects...', 'success');
+        }
         
     } catch (error) {
         console.error('Scan error:', error);
@@ -503,15 +522,38 @@ async function startSoundEffectsScan() {
     }
 }
 
+function getCrawlOptions() {
+    const startPage = parseInt(document.getElementById('crawlStartPage').value);
+    const endPage = parseInt(document.getElementById('crawlEndPage').value);
+    
+    return {
+        enabled: document.getElementById('crawlAllPages').checked,
+        startPage: startPage > 0 ? startPage : 1,
+        endPage: endPage > 0 ? endPage : null
+    };
+}
+
+function updateCrawlProgress(page, totalPages, itemsFound) {
+    const crawlProgressEl = document.getElementById('crawlProgress');
+    crawlProgressEl.textContent = `Page ${page} of ${totalPages || '?'} - ${itemsFound} unique sound effects so far`;
+    crawlProgressEl.classList.remove('hidden');
+}
+
+function hideCrawlProgress() {
+    document.getElementById('crawlProgress').classList.add('hidden');
+}
+
 // Separate download function
 async function startSoundEffectsDownload() {
-    if (isDownloading || scannedItems.length === 0) {
-        console.log('Download not possible - either already downloading or no items found');
+    const selectedItems = getSelectedItems();
+    if (isDownloading || selectedItems.length === 0) {
+        console.log('Download not possible - either already downloading or no items selected');
         return;
     }
 
     isDownloading = true;
     isPaused = false;
+    hideFailedDownloads();
 
     const downloadBtn = document.getElementById('downloadBtn');
     const originalText = downloadBtn.innerHTML;
@@ -519,7 +561,8 @@ async function startSoundEffectsDownload() {
     try {
         console.log('Starting sound effects download');
 
-        // Show progress and controls
+        // Show progress and controls, a new batch replaces any interrupted one
+        hideResumeSection();
         showProgress();
         showDownloadControls();
         downloadBtn.innerHTML = '<div class="spinner"></div> Starting download...';
@@ -539,7 +582,8 @@ async function startSoundEffectsDownload() {
             action: 'START_DOWNLOAD',
             tabId: activeTab.id,
             config: downloadConfig, // Include configuration
-            items: scannedItems // Pass scanned items to background
+            items: selectedItems, // Pass only the checked items to background
+            forceRedownload: document.getElementById('forceRedownload').checked
         });
 
         console.log('Download start response:', response);
@@ -558,6 +602,93 @@ async function startSoundEffectsDownload() {
     }
 }
 
+function showResumeSection(resumableJob) {
+    const remaining = resumableJob.total - resumableJob.finished;
+    document.getElementById('resumeMessage').textContent =
+        `A download of ${resumableJob.total} sound effects stopped after ${resumableJob.finished} items. ${remaining} remaining, starting at item ${resumableJob.nextIndex + 1}.`;
+    document.getElementById('resumeSection').classList.remove('hidden');
+}
+
+function hideResumeSection() {
+    document.getElementById('resumeSection').classList.add('hidden');
+}
+
+async function resumeInterruptedDownload() {
+    if (isDownloading) return;
+    
+    try {
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        
+        isDownloading = true;
+        isPaused = false;
+        hideResumeSection();
+        showDownloadSection();
+        showProgress();
+        showDownloadControls();
+        
+        const downloadBtn = document.getElementById('downloadBtn');
+        downloadBtn.innerHTML = '<div class="spinner"></div> Downloading...';
+        downloadBtn.disabled = true;
+        
+        await chrome.runtime.sendMessage({
+            action: 'RESUME_INTERRUPTED_DOWNLOAD',
+            tabId: activeTab ? activeTab.id : null
+        });
+        
+        updateStatusMessage('Arrow', 'Resuming interrupted download...', 'success');
+    } catch (error) {
+        console.error('Error resuming interrupted download:', error);
+        updateStatusMessage('X', `Resume failed: ${error.message}`, 'error');
+        hideProgress();
+        hideDownloadControls();
+        resetDownloadButton();
+        isDownloading = false;
+    }
+}
+
+// Download just the items the last batch gave up on
+async function retryFailedDownloads() {
+    if (isDownloading) return;
+    
+    try {
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        
+        isDownloading = true;
+        isPaused = false;
+        hideFailedDownloads();
+        showProgress();
+        showDownloadControls();
+        
+        const downloadBtn = document.getElementById('downloadBtn');
+        downloadBtn.innerHTML = '<div class="spinner"></div> Downloading...';
+        downloadBtn.disabled = true;
+        
+        await chrome.runtime.sendMessage({
+            action: 'RETRY_FAILED_DOWNLOADS',
+            tabId: activeTab ? activeTab.id : null
+        });
+        
+        updateStatusMessage('Arrow', 'Retrying failed downloads...', 'success');
+    } catch (error) {
+        console.error('Error retrying failed downloads:', error);
+        updateStatusMessage('X', `Retry failed: ${error.message}`, 'error');
+        hideProgress();
+        hideDownloadControls();
+        resetDownloadButton();
+        isDownloading = false;
+    }
+}
+
+async function discardInterruptedDownload() {
+    try {
+        await chrome.runtime.sendMessage({ action: 'DISCARD_INTERRUPTED_DOWNLOAD' });
+        hideResumeSection();
+        updateStatusMessage('i', 'Interrupted download discarded', '');
+    } catch (error) {
+        console.error('Error discarding interrupted download:', error);
+    }
+}
+
 async function pauseDownload() {
     try {
         isPaused = true;
@@ -601,6 +732,449 @@ async function cancelDownload() {
     }
 }
 
+async function loadLedgerStats() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'GET_LEDGER_STATS' });
+        const count = response && response.count ? response.count : 0;
+        document.getElementById('ledgerCount').textContent = `${count} sounds in download history`;
+    } catch (error) {
+        console.error('Error loading download history stats:', error);
+    }
+}
+
+async function clearLedger() {
+    if (!confirm('Clear the download history? Previously downloaded sounds will be downloaded again.')) {
+        return;
+    }
+    
+    try {
+        await chrome.runtime.sendMessage({ action: 'CLEAR_LEDGER' });
+        await loadLedgerStats();
+        updateStatusMessage('Check', 'Download history cleared', 'success');
+    } catch (error) {
+        console.error('Error clearing download history:', error);
+        updateStatusMessage('X', 'Error clearing download history', 'error');
+    }
+}
+
+// Columns written by the CSV/JSON export, in order
+const EXPORT_FIELDS = ['id', 'title', 'pageUrl', 'previewUrl', 'profileUrl', 'extractedAt', 'category', 'creator', 'creatorUrl', 'duration', 'durationSeconds', 'tags', 'likes', 'downloads'];
+
+async function exportScannedItems(format) {
+    if (scannedItems.length === 0) {
+        updateStatusMessage('!', 'Nothing to export - scan a page first', 'warning');
+        return;
+    }
+    
+    try {
+        const filename = await buildExportFilename(format);
+        const rows = scannedItems.map(item => {
+            const row = {};
+            EXPORT_FIELDS.forEach(field => {
+                row[field] = item[field] !== undefined && item[field] !== null ? item[field] : '';
+                if (format === 'csv' && Array.isArray(row[field])) {
+                    row[field] = row[field].join('; ');
+                }
+            });
+            return row;
+        });
+        
+        let content;
+        let mimeType;
+        if (format === 'csv') {
+            const lines = [EXPORT_FIELDS.join(',')];
+            rows.forEach(row => {
+                lines.push(EXPORT_FIELDS.map(field => escapeCsvValue(row[field])).join(','));
+            });
+            content = lines.join('\r\n');
+            mimeType = 'text/csv';
+        } else {
+            content = JSON.stringify(rows, null, 2);
+            mimeType = 'application/json';
+        }
+        
+        const blobUrl = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+        await chrome.downloads.download({
+            url: blobUrl,
+            filename: filename,
+            saveAs: false,
+            conflictAction: 'uniquify'
+        });
+        
+        // Give Chrome a moment to read the blob before releasing it
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 10000);
+        
+        updateStatusMessage('Check', `Exported ${rows.length} items as ${format.toUpperCase()}`, 'success');
+    } catch (error) {
+        console.error('Error exporting scanned items:', error);
+        updateStatusMessage('X', `Export failed: ${error.message}`, 'error');
+    }
+}
+
+// e.g. PixabayAudio/search_rain_sounds_2024-05-01.csv
+async function buildExportFilename(format) {
+    let targetName = 'pixabay';
+    
+    try {
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const response = await chrome.runtime.sendMessage({ action: 'GET_PAGE_INFO', tabId: activeTab.id });
+        if (response && response.pageInfo && response.pageInfo.targetName && response.pageInfo.targetName !== 'unknown') {
+            targetName = response.pageInfo.targetName;
+        }
+    } catch (error) {
+        console.log('Could not read page info for export filename:', error.message);
+    }
+    
+    const safeName = targetName.replace(/[<>:"/\\|?*]/g, '_').replace(/\s+/g, '_').substring(0, 80);
+    const date = new Date().toISOString().slice(0, 10);
+    const folder = (downloadConfig.mainFolderName || 'PixabayAudio').replace(/[<>:"/\\|?*]/g, '_');
+    return `${folder}/${safeName}_sounds_${date}.${format}`;
+}
+
+function escapeCsvValue(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function importSoundList() {
+    if (isDownloading) {
+        updateStatusMessage('!', 'Wait for the current download to finish before importing', 'warning');
+        return;
+    }
+    
+    try {
+        const textInput = document.getElementById('importText');
+        const fileInput = document.getElementById('importFile');
+        
+        let entries = parseImportEntries(textInput.value, '');
+        if (fileInput.files.length > 0) {
+            const file = fileInput.files[0];
+            entries = entries.concat(parseImportEntries(await file.text(), file.name));
+        }
+        
+        if (entries.length === 0) {
+            updateStatusMessage('!', 'Paste sound URLs or IDs, or choose a CSV/JSON/TXT file', 'warning');
+            return;
+        }
+        
+        const response = await chrome.runtime.sendMessage({
+            action: 'IMPORT_SOUND_ITEMS',
+            entries: entries
+        });
+        
+        const items = response && response.items ? response.items : [];
+        const rejectedCount = response && response.rejected ? response.rejected.length : 0;
+        
+        if (items.length === 0) {
+            updateStatusMessage('X', `No valid Pixabay sound URLs or IDs found (${rejectedCount} rejected)`, 'error');
+            return;
+        }
+        
+        showItemsList(items);
+        textInput.value = '';
+        fileInput.value = '';
+        document.getElementById('importPanel').classList.add('hidden');
+        
+        const rejectedText = rejectedCount > 0 ? `, ${rejectedCount} rejected` : '';
+        updateStatusMessage('Check', `Imported ${items.length} sound effects${rejectedText}`, 'success');
+        
+        // Queue the imported items straight away
+        await startSoundEffectsDownload();
+    } catch (error) {
+        console.error('Error importing sound list:', error);
+        updateStatusMessage('X', `Import failed: ${error.message}`, 'error');
+    }
+}
+
+// Read URLs/IDs from JSON (our export or a plain array) or from CSV/TXT lines
+function parseImportEntries(text, fileName) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return [];
+    
+    if (/\.json$/i.test(fileName) || /^[\[{]/.test(trimmed)) {
+        const data = JSON.parse(trimmed);
+        const list = Array.isArray(data) ? data : (data.items || []);
+        return list.map(entry => {
+            if (entry && typeof entry === 'object') {
+                return {
+                    url: entry.pageUrl || entry.downloadUrl || entry.url || '',
+                    id: entry.id !== undefined ? String(entry.id) : '',
+                    title: entry.title || '',
+                    previewUrl: entry.previewUrl || '',
+                    profileUrl: entry.profileUrl || ''
+                };
+            }
+            return String(entry);
+        });
+    }
+    
+    const lines = trimmed.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    
+    // A header row (like our CSV export) tells us which columns hold the URL, ID and title
+    const headerCells = parseCsvLine(lines[0]).map(cell => cell.toLowerCase());
+    const hasHeader = headerCells.some(cell => ['id', 'url', 'pageurl'].includes(cell));
+    const urlColumn = hasHeader ? headerCells.findIndex(cell => cell === 'pageurl' || cell === 'url') : -1;
+    const idColumn = hasHeader ? headerCells.indexOf('id') : -1;
+    const titleColumn = hasHeader ? headerCells.indexOf('title') : -1;
+    
+    return (hasHeader ? lines.slice(1) : lines).map(line => {
+        const cells = parseCsvLine(line);
+        if (hasHeader) {
+            return {
+                url: urlColumn >= 0 ? cells[urlColumn] || '' : '',
+                id: idColumn >= 0 ? cells[idColumn] || '' : '',
+                title: titleColumn >= 0 ? cells[titleColumn] || '' : ''
+            };
+        }
+        // No header: take the first cell that looks like a URL or a numeric ID
+        return cells.find(cell => /^https?:\/\//i.test(cell)) || cells.find(cell => /^\d+$/.test(cell)) || line;
+    });
+}
+
+function parseCsvLine(line) {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',' || char === ';' || char === '\t') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+    
+    return cells;
+}
+
+// The side panel stays open while browsing, the popup closes as soon as it loses focus
+function openSidePanel(windowId) {
+    if (windowId === null) return;
+    
+    chrome.sidePanel.open({ windowId: windowId }).then(() => {
+        window.close();
+    }).catch(error => {
+        console.error('Error opening side panel:', error);
+        updateStatusMessage('X', 'Could not open the side panel', 'error');
+    });
+}
+
+async function toggleWatchlistSection() {
+    const section = document.getElementById('watchlistSection');
+    if (!section.classList.contains('hidden')) {
+        section.classList.add('hidden');
+        return;
+    }
+    
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'GET_WATCHLIST' });
+        renderWatchlist(response.watchlist, response.isChecking);
+        section.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error loading watchlist:', error);
+        updateStatusMessage('X', 'Could not load the watchlist', 'error');
+    }
+}
+
+function renderWatchlist(watchlist, isChecking) {
+    const container = document.getElementById('watchlistEntries');
+    const status = document.getElementById('watchlistStatus');
+    
+    document.getElementById('checkWatchlistBtn').disabled = isChecking || watchlist.length === 0;
+    status.textContent = isChecking
+        ? 'Checking watched pages...'
+        : `Checked every ${downloadConfig.watchlistIntervalHours} hours. Adding a page records what is there now; later checks report what is new.`;
+    
+    if (watchlist.length === 0) {
+        container.innerHTML = '<div class="empty-state">Nothing watched yet. Open a Pixabay user page, search or category and click "Watch This Page".</div>';
+        return;
+    }
+    
+    container.innerHTML = watchlist.map(entry => {
+        const checked = entry.lastCheckedAt ? new Date(entry.lastCheckedAt).toLocaleString() : 'not checked yet';
+        const newLink = entry.newItems.length > 0
+            ? ` • <a href="#" data-watch-action="download" data-id="${escapeHtml(entry.id)}">Download ${entry.newItems.length} new</a>`
+            : '';
+        const error = entry.lastError ? ` • <span class="watchlist-error">${escapeHtml(entry.lastError)}</span>` : '';
+        
+        return `
+            <div class="watchlist-entry">
+                <div class="watchlist-entry-info">
+                    <div class="item-title" title="${escapeHtml(entry.url)}">${escapeHtml(entry.label)} <span class="watchlist-kind">${escapeHtml(entry.kind)}</span></div>
+                    <div class="item-id">Last check: ${escapeHtml(checked)}${error}${newLink}</div>
+                </div>
+                <a href="#" class="watchlist-remove" data-watch-action="remove" data-id="${escapeHtml(entry.id)}" title="Stop watching">×</a>
+            </div>
+        `;
+    }).join('');
+}
+
+async function addCurrentPageToWatchlist() {
+    try {
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const response = await chrome.runtime.sendMessage({
+            action: 'ADD_WATCHLIST_ENTRY',
+            url: activeTab.url
+        });
+        
+        if (response.error) {
+            updateStatusMessage('!', response.error, 'warning');
+            return;
+        }
+        updateStatusMessage('Check', `Watching ${response.entry.label}`, 'success');
+    } catch (error) {
+        console.error('Error adding watchlist entry:', error);
+        updateStatusMessage('X', `Could not watch this page: ${error.message}`, 'error');
+    }
+}
+
+async function removeWatchlistEntry(entryId) {
+    try {
+        await chrome.runtime.sendMessage({ action: 'REMOVE_WATCHLIST_ENTRY', entryId: entryId });
+    } catch (error) {
+        console.error('Error removing watchlist entry:', error);
+    }
+}
+
+async function checkWatchlistNow() {
+    try {
+        document.getElementById('checkWatchlistBtn').disabled = true;
+        await chrome.runtime.sendMessage({ action: 'CHECK_WATCHLIST_NOW' });
+        updateStatusMessage('Search', 'Checking watched pages in the background...', 'success');
+    } catch (error) {
+        console.error('Error starting watchlist check:', error);
+    }
+}
+
+async function downloadWatchlistNewItems(entryId) {
+    if (isDownloading) {
+        updateStatusMessage('!', 'A download is already running', 'warning');
+        return;
+    }
+    
+    try {
+        isDownloading = true;
+        isPaused = false;
+        hideFailedDownloads();
+        showDownloadSection();
+        showProgress();
+        showDownloadControls();
+        
+        const downloadBtn = document.getElementById('downloadBtn');
+        downloadBtn.innerHTML = '<div class="spinner"></div> Downloading...';
+        downloadBtn.disabled = true;
+        
+        const response = await chrome.runtime.sendMessage({ action: 'DOWNLOAD_WATCHLIST_NEW', entryId: entryId });
+        if (!response || !response.ok) {
+            throw new Error(response && response.error ? response.error : 'Download could not start');
+        }
+        updateStatusMessage('Arrow', 'Downloading new watchlist sounds...', 'success');
+    } catch (error) {
+        console.error('Error downloading watchlist sounds:', error);
+        updateStatusMessage('X', `Download failed: ${error.message}`, 'error');
+        hideProgress();
+        hideDownloadControls();
+        resetDownloadButton();
+        isDownloading = false;
+    }
+}
+
+async function runSelectorDiagnostics() {
+    try {
+        updateStatusMessage('Search', 'Testing page selectors...', 'success');
+        
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const response = await chrome.runtime.sendMessage({
+            action: 'RUN_SELECTOR_DIAGNOSTICS',
+            tabId: activeTab.id
+        });
+        
+        if (!response || !response.report) {
+            updateStatusMessage('X', response && response.error ? response.error : 'Diagnostics failed', 'error');
+            return;
+        }
+        
+        document.getElementById('diagnosticsReport').textContent = formatDiagnosticsReport(response.report);
+        document.getElementById('diagnosticsSection').classList.remove('hidden');
+        
+        const failing = response.report.checks.filter(check => check.status !== 'ok').length;
+        updateStatusMessage(response.report.scanContainerCount > 0 ? 'Check' : '!',
+            `Diagnostics done: scan would find ${response.report.scanContainerCount} containers, ${failing} selectors match nothing`,
+            response.report.scanContainerCount > 0 ? 'success' : 'warning');
+    } catch (error) {
+        console.error('Error running diagnostics:', error);
+        updateStatusMessage('X', `Diagnostics failed: ${error.message}`, 'error');
+    }
+}
+
+// Plain-text report for pasting into a bug report
+function formatDiagnosticsReport(report) {
+    const lines = [
+        'Pixabay Sound Effects Downloader - Selector Diagnostics',
+        `Generated: ${report.generatedAt}`,
+        `Extension: v${report.extensionVersion}, selector profile v${report.selectorProfileVersion}`,
+        `Custom selectors: ${Object.keys(report.selectorOverrides).length > 0 ? JSON.stringify(report.selectorOverrides) : 'none'}`,
+        `Page: ${report.pageUrl}`,
+        `Browser: ${report.userAgent}`,
+        `Scan strategy: ${report.scanStrategy} (${report.scanContainerCount} containers)`,
+        `Individual sound page: ${report.isIndividualSoundPage ? 'yes' : 'no'}`
+    ];
+    
+    let currentGroup = null;
+    report.checks.forEach(check => {
+        if (check.group !== currentGroup) {
+            currentGroup = check.group;
+            lines.push('', `[${currentGroup}]`);
+        }
+        const status = check.status === 'ok' ? 'OK  ' : check.status === 'invalid' ? 'BAD ' : 'NONE';
+        const note = check.note ? ` (${check.note})` : '';
+        lines.push(`${status} ${String(check.count).padStart(4)}  ${check.name}${check.name !== check.selector ? `  ${check.selector}` : ''}${note}`);
+    });
+    
+    return lines.join('\n');
+}
+
+async function copyDiagnosticsReport() {
+    try {
+        await navigator.clipboard.writeText(document.getElementById('diagnosticsReport').textContent);
+        updateStatusMessage('Check', 'Diagnostics report copied to clipboard', 'success');
+    } catch (error) {
+        console.error('Error copying diagnostics report:', error);
+        updateStatusMessage('X', 'Could not copy the report', 'error');
+    }
+}
+
+async function downloadDiagnosticsReport() {
+    try {
+        const content = document.getElementById('diagnosticsReport').textContent;
+        const blobUrl = URL.createObjectURL(new Blob([content], { type: 'text/plain;charset=utf-8' }));
+        await chrome.downloads.download({
+            url: blobUrl,
+            filename: `selector-diagnostics_${new Date().toISOString().slice(0, 10)}.txt`,
+            saveAs: false,
+            conflictAction: 'uniquify'
+        });
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 10000);
+    } catch (error) {
+        console.error('Error downloading diagnostics report:', error);
+        updateStatusMessage('X', 'Could not download the report', 'error');
+    }
+}
+
 function followUser() {
     if (currentUserInfo && currentUserInfo.profileUrl) {
         chrome.tabs.create({ url: currentUserInfo.profileUrl });
@@ -629,14 +1203,22 @@ function clearScannedItems() {
     hideDownloadSection();
 }
 
-function showItemsList(items) {
+function showItemsList(items, resetSelection = true) {
     scannedItems = items;
+    
+    // A new scan or import starts with everything selected
+    if (resetSelection) {
+        selectedItemIds = new Set(items.map(item => String(item.id)));
+        itemFilterText = '';
+        itemSortBy = 'order';
+        saveItemSelection();
+    }
+    document.getElementById('itemsFilter').value = itemFilterText;
+    document.getElementById('itemsSort').value = itemSortBy;
+    
     updateItemsList();
     document.getElementById('itemsList').classList.remove('hidden');
     
-    // Update count on download button and show download section
-    document.getElementById('soundEffectsCount').textContent = items.length;
-    
     if (items.length > 0) {
         showDownloadSection();
         resetScanButton();
@@ -647,24 +1229,170 @@ function updateItemsList() {
     const container = document.getElementById('itemsContainer');
     const countEl = document.getElementById('itemsCount');
     
-    countEl.textContent = `${scannedItems.length} items`;
+    countEl.textContent = scannedItems.length > 0
+        ? `${getSelectedItems().length} of ${scannedItems.length} selected`
+        : '0 items';
+    updateSelectionCount();
     
     if (scannedItems.length === 0) {
         container.innerHTML = '<div class="empty-state">No sound effects scanned yet. Click the scan button to start extracting audio from the current page.</div>';
         return;
     }
     
-    container.innerHTML = scannedItems.map((item, index) => `
+    const visibleItems = getVisibleItems();
+    if (visibleItems.length === 0) {
+        container.innerHTML = '<div class="empty-state">No sound effects match the filter.</div>';
+        return;
+    }
+    
+    container.innerHTML = visibleItems.map(item => `
         <div class="item-entry">
-            <div class="item-preview">Audio</div>
+            <input type="checkbox" class="config-checkbox item-checkbox" data-id="${escapeHtml(String(item.id))}" ${selectedItemIds.has(String(item.id)) ? 'checked' : ''}>
+            <button class="item-preview" data-id="${escapeHtml(String(item.id))}" title="Preview">${getPreviewButtonLabel(String(item.id))}</button>
             <div class="item-info">
-                <div class="item-title">${item.title}</div>
-                <div class="item-id">ID: ${item.id}</div>
+                <div class="item-title">${escapeHtml(item.title)}</div>
+                <div class="item-id">${escapeHtml(formatItemDetails(item))}</div>
             </div>
         </div>
     `).join('');
 }
 
+// "ID: 123 • 0:12 • by name • 45 likes", skipping fields the scan did not find
+function formatItemDetails(item) {
+    const details = [`ID: ${item.id}`];
+    if (item.duration) details.push(item.duration);
+    if (item.creator) details.push(`by ${item.creator}`);
+    if (item.likes !== undefined && item.likes !== null) details.push(`${item.likes} likes`);
+    if (item.downloads !== undefined && item.downloads !== null) details.push(`${item.downloads} downloads`);
+    return details.join(' • ');
+}
+
+function getPreviewButtonLabel(itemId) {
+    if (itemId === loadingPreviewId) return '...';
+    return itemId === playingItemId ? '■' : '▶';
+}
+
+async function togglePreview(itemId) {
+    const wasPlaying = playingItemId === itemId;
+    stopPreview();
+    if (wasPlaying) return;
+    
+    const item = scannedItems.find(entry => String(entry.id) === itemId);
+    if (!item) return;
+    
+    try {
+        // Resolve lazily and cache on the item so the download can reuse it
+        if (!item.audioUrl) {
+            loadingPreviewId = itemId;
+            updateItemsList();
+            const response = await chrome.runtime.sendMessage({
+                action: 'RESOLVE_AUDIO_URL',
+                itemId: item.id,
+                pageUrl: item.pageUrl || item.downloadUrl
+            });
+            loadingPreviewId = null;
+            
+            if (!response || !response.audioUrl) {
+                updateItemsList();
+                updateStatusMessage('!', `No playable audio found for ${item.title}`, 'warning');
+                return;
+            }
+            item.audioUrl = response.audioUrl;
+        }
+        
+        previewAudio = new Audio(item.audioUrl);
+        previewAudio.addEventListener('ended', stopPreview);
+        playingItemId = itemId;
+        updateItemsList();
+        await previewAudio.play();
+    } catch (error) {
+        console.error('Error playing preview:', error);
+        loadingPreviewId = null;
+        stopPreview();
+        updateStatusMessage('X', `Preview failed: ${error.message}`, 'error');
+    }
+}
+
+function stopPreview() {
+    if (previewAudio) {
+        previewAudio.pause();
+        previewAudio.removeEventListener('ended', stopPreview);
+        previewAudio = null;
+    }
+    if (playingItemId !== null) {
+        playingItemId = null;
+        updateItemsList();
+    }
+}
+
+// Items matching the title filter, in the chosen sort order
+function getVisibleItems() {
+    const filter = itemFilterText.trim().toLowerCase();
+    const items = filter
+        ? scannedItems.filter(item => (item.title || '').toLowerCase().includes(filter))
+        : scannedItems;
+    return sortItems(items);
+}
+
+function sortItems(items) {
+    const sorted = items.slice();
+    switch (itemSortBy) {
+        case 'title':
+            sorted.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+            break;
+        case 'id':
+            sorted.sort((a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+            break;
+        case 'order':
+        default:
+            // Scan order is the order the background returned
+            break;
+    }
+    return sorted;
+}
+
+// Checked items in the chosen sort order, regardless of the filter
+function getSelectedItems() {
+    return sortItems(scannedItems).filter(item => selectedItemIds.has(String(item.id)));
+}
+
+// mode: 'all' | 'none' | 'invert', applied to the items the filter shows
+function changeItemSelection(mode) {
+    getVisibleItems().forEach(item => {
+        const id = String(item.id);
+        if (mode === 'all' || (mode === 'invert' && !selectedItemIds.has(id))) {
+            selectedItemIds.add(id);
+        } else {
+            selectedItemIds.delete(id);
+        }
+    });
+    
+    updateItemsList();
+    saveItemSelection();
+}
+
+function updateSelectionCount() {
+    const selectedCount = getSelectedItems().length;
+    document.getElementById('soundEffectsCount').textContent = selectedCount;
+    if (!isDownloading) {
+        document.getElementById('downloadBtn').disabled = selectedCount === 0;
+    }
+}
+
+// Selection lives in the background's extension state so it survives closing the popup
+function saveItemSelection() {
+    chrome.runtime.sendMessage({
+        action: 'UPDATE_ITEM_SELECTION',
+        selection: {
+            selectedIds: Array.from(selectedItemIds),
+            filter: itemFilterText,
+            sortBy: itemSortBy
+        }
+    }).catch(error => {
+        console.error('Error saving item selection:', error);
+    });
+}
+
 function showProgress() {
     document.getElementById('progressSection').classList.remove('hidden');
     updateProgress(0, 0);
@@ -685,18 +1413,39 @@ function hideDownloadControls() {
     document.getElementById('downloadControls').classList.add('hidden');
 }
 
-function updateProgress(current, total) {
-    const progressFill = document.getElementById('progressFill');
-    const progressText = document.getElementById('progressText');
+function updateProgress(current, total, skipped = 0, failed = 0) {
+    const progress = { current: current, total: total, skipped: skipped, failed: failed };
+    document.getElementById('progressFill').style.width = `${getProgressPercentage(progress)}%`;
+    document.getElementById('progressText').textContent = formatProgressText(progress);
+}
+
+function updateRateInfo(requestRate) {
+    const rateInfo = document.getElementById('rateInfo');
+    rateInfo.textContent = formatRequestRate(requestRate);
+    rateInfo.classList.toggle('slowed', isRequestRateSlowed(requestRate));
+}
+
+// List items whose download Chrome reported as interrupted, with the reason it gave
+function showFailedDownloads(failures) {
+    const section = document.getElementById('failedDownloads');
     
-    if (total > 0) {
-        const percentage = (current / total) * 100;
-        progressFill.style.width = `${percentage}%`;
-        progressText.textContent = `${current} / ${total} downloaded (${percentage.toFixed(1)}%)`;
-    } else {
-        progressFill.style.width = '0%';
-        progressText.textContent = 'Preparing download...';
+    if (!failures || failures.length === 0) {
+        hideFailedDownloads();
+        return;
     }
+    
+    document.getElementById('failedDownloadsTitle').textContent = `Failed downloads (${failures.length})`;
+    document.getElementById('failedDownloadsList').innerHTML = failures.map(failure => `
+        <div class="failed-download-item" title="${escapeHtml(failure.pageUrl || '')}">
+            ${escapeHtml(failure.title || `Sound ${failure.id}`)}
+            <span class="failed-download-reason">- ${escapeHtml(formatFailureReason(failure))}</span>
+        </div>
+    `).join('');
+    section.classList.remove('hidden');
+}
+
+function hideFailedDownloads() {
+    document.getElementById('failedDownloads').classList.add('hidden');
 }
 
 function resetScanButton() {
@@ -708,8 +1457,8 @@ function resetScanButton() {
 
 function resetDownloadButton() {
     const downloadBtn = document.getElementById('downloadBtn');
-    downloadBtn.innerHTML = `Download All Sound Effects <span class="count">${scannedItems.length}</span>`;
-    downloadBtn.disabled = false;
+    downloadBtn.innerHTML = `Download Selected Sound Effects <span class="count" id="soundEffectsCount">${getSelectedItems().length}</span>`;
+    downloadBtn.disabled = getSelectedItems().length === 0;
 }
 
 // Listen for messages from background script
@@ -723,7 +1472,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             }
             break;
             
+        case 'CRAWL_PROGRESS':
+            updateCrawlProgress(message.page, message.totalPages, message.itemsFound);
+            updateStatusMessage('Search', `Scanning page ${message.page} of ${message.totalPages || '?'}...`, 'success');
+            break;
+            
         case 'SOUND_EFFECTS_SCANNED':
+            hideCrawlProgress();
             if (message.items && message.items.length > 0) {
                 showItemsList(message.items);
                 updateStatusMessage('Check', `Found ${message.items.length} sound effects`, 'success');
@@ -735,16 +1490,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             break;
             
         case 'DOWNLOAD_STARTED':
-            updateStatusMessage('Arrow', `Downloading ${scannedItems.length} sound effects...`, 'success');
+            updateStatusMessage('Arrow', `Downloading ${message.count || scannedItems.length} sound effects...`, 'success');
             break;
             
         case 'UPDATE_PROGRESS':
-            updateProgress(message.current, message.total);
+            updateProgress(message.current, message.total, message.skipped, message.failed);
             updateStatusMessage('Download', `Downloaded ${message.current}/${message.total} files`, 'success');
             break;
             
         case 'DOWNLOAD_COMPLETE':
-            updateStatusMessage('Check', `Download complete! ${message.count} sound effects downloaded.`, 'success');
+            if (message.failed > 0) {
+                updateStatusMessage('!', `Download complete! ${message.count} sound effects downloaded.${formatSkippedCount(message.skipped)}${formatFailedCount(message.failed)}`, 'warning');
+            } else {
+                updateStatusMessage('Check', `Download complete! ${message.count} sound effects downloaded.${formatSkippedCount(message.skipped)}`, 'success');
+            }
+            showFailedDownloads(message.failures);
+            loadLedgerStats();
             hideProgress();
             hideDownloadControls();
             resetDownloadButton();
@@ -753,7 +1514,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             break;
             
         case 'DOWNLOAD_CANCELED':
-            updateStatusMessage('X', `Download canceled. ${message.count || 0} files downloaded.`, 'error');
+            updateStatusMessage('X', `Download canceled. ${message.count || 0} files downloaded.${formatSkippedCount(message.skipped)}${formatFailedCount(message.failed)}`, 'error');
+            showFailedDownloads(message.failures);
+            loadLedgerStats();
             hideProgress();
             hideDownloadControls();
             resetDownloadButton();
@@ -766,9 +1529,40 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             break;
             
         case 'DOWNLOAD_RESUMED':
+            // Also sent when the background resumes by itself after a Cloudflare check
+            isPaused = false;
+            document.getElementById('pauseBtn').disabled = false;
+            document.getElementById('resumeBtn').disabled = true;
             updateStatusMessage('Play', 'Download resumed', 'success');
             break;
             
+        case 'WATCHLIST_UPDATED':
+            if (!document.getElementById('watchlistSection').classList.contains('hidden')) {
+                renderWatchlist(message.watchlist, message.isChecking);
+            }
+            break;
+            
+        case 'SOUND_ITEM_QUEUED':
+            // Added from the page's right-click menu; keep the current selection and select the new item
+            if (scannedItems.length === 0) {
+                showItemsList(message.items);
+            } else {
+                selectedItemIds.add(String(message.itemId));
+                showItemsList(message.items, false);
+            }
+            break;
+            
+        case 'RATE_LIMIT_UPDATE':
+            updateRateInfo(message.requestRate);
+            break;
+            
+        case 'CLOUDFLARE_CHALLENGE':
+            isPaused = true;
+            document.getElementById('pauseBtn').disabled = true;
+            document.getElementById('resumeBtn').disabled = false;
+            updateStatusMessage('!', 'Cloudflare check detected - downloads paused. Complete it in the download window to continue.', 'warning');
+            break;
+            
         case 'DOWNLOAD_ERROR':
             console.error('Download error from background:', message.error);
             updateStatusMessage('X', `Error: ${message.error}`, 'error');
@@ -782,6 +1576,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         case 'SCANNING_ERROR':
             console.error('Scanning error from background:', message.error);
             updateStatusMessage('X', `Scanning failed: ${message.error}`, 'error');
+            hideCrawlProgress();
             resetScanButton();
             isScanning = false;
             break;
@@ -0,0 +1,120 @@
+// Selector profile: every Pixabay CSS-module class name the extension depends on, in one place
+// Loaded by background.js (importScripts), the content script (manifest) and popup.html
+//
+// Pixabay's hashed class names (e.g. audioRow--nAm4Z) change with their deploys. Users can override
+// single entries from the settings panel; only the overridden keys are stored, so a newer built-in
+// profile still fixes every selector the user did not touch.
+
+const SELECTOR_PROFILE_VERSION = 1;
+const SELECTOR_PROFILE_STORAGE_KEY = 'selectorProfileOverrides';
+
+const DEFAULT_SELECTOR_PROFILE = {
+    version: SELECTOR_PROFILE_VERSION,
+    selectors: {
+        // Result lists
+        audioRow: '.audioRow--nAm4Z',
+        overlayContainer: '.overlayContainer--0ZpHP',
+        audioCard: '.overlayContainer--0ZpHP.lazyImg--u6\\+yh',
+        
+        // User profile header
+        userAvatar: '.image--vdlQM',
+        userName: '.h1--bZ6EI.L--opXRs',
+        userNameFallback: '.h1--bZ6EI',
+        
+        // Like buttons on result cards
+        likeButtonWrapper: '.likeButtonWrapper--yrNJw',
+        likeButton: '.button--9NFL8.square--n2VLb.light--C3NP-.center--ZZf40',
+        
+        // Download button on individual sound pages
+        actionButtons: '.actionButtons--NbgQi',
+        downloadButton: '.button--9NFL8.ghost--wIHwU.light--C3NP-.center--ZZf40',
+        downloadButtonFallback: '.button--9NFL8[class*="ghost"], .button--9NFL8[class*="download"]'
+    }
+};
+
+// Generic download controls tried on individual sound pages when the profile's buttons are not found
+// Not hashed, so not user-editable; shared with the diagnostics report
+const DOWNLOAD_BUTTON_FALLBACK_SELECTORS = [
+    'a[href*="download"]',
+    'button[title*="download" i]',
+    'button[aria-label*="download" i]',
+    '.download-button',
+    '.btn-download',
+    '[data-testid*="download"]',
+    'button:has-text("Download")',
+    'a:has-text("Download")'
+];
+
+// Built-in selectors with the user's overrides applied
+function mergeSelectorProfile(overrides) {
+    const selectors = { ...DEFAULT_SELECTOR_PROFILE.selectors };
+    
+    if (overrides && typeof overrides === 'object') {
+        Object.keys(selectors).forEach(key => {
+            if (typeof overrides[key] === 'string' && overrides[key].trim()) {
+                selectors[key] = overrides[key].trim();
+            }
+        });
+    }
+    
+    return { version: SELECTOR_PROFILE_VERSION, selectors: selectors };
+}
+
+async function loadSelectorProfile() {
+    try {
+        const result = await chrome.storage.local.get([SELECTOR_PROFILE_STORAGE_KEY]);
+        return mergeSelectorProfile(result[SELECTOR_PROFILE_STORAGE_KEY]);
+    } catch (error) {
+        console.error('Error loading selector profile, using built-in selectors:', error);
+        return mergeSelectorProfile(null);
+    }
+}
+
+// Accepts a full profile ({ version, selectors }) or a bare selectors object
+// Returns { overrides, errors } where overrides only holds keys that differ from the built-in profile
+function parseSelectorProfile(json) {
+    const errors = [];
+    const overrides = {};
+    
+    let data;
+    try {
+        data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (error) {
+        return { overrides: overrides, errors: [`Invalid JSON: ${error.message}`] };
+    }
+    
+    const selectors = data && typeof data.selectors === 'object' ? data.selectors : data;
+    if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+        return { overrides: overrides, errors: ['Profile must be an object with a "selectors" map'] };
+    }
+    
+    Object.keys(selectors).forEach(key => {
+        const selector = selectors[key];
+        
+        if (!(key in DEFAULT_SELECTOR_PROFILE.selectors)) {
+            errors.push(`Unknown selector "${key}"`);
+        } else if (typeof selector !== 'string' || !selector.trim()) {
+            errors.push(`Selector "${key}" must be a non-empty string`);
+        } else if (!isValidSelector(selector)) {
+            errors.push(`Selector "${key}" is not valid CSS: ${selector}`);
+        } else if (selector.trim() !== DEFAULT_SELECTOR_PROFILE.selectors[key]) {
+            overrides[key] = selector.trim();
+        }
+    });
+    
+    return { overrides: overrides, errors: errors };
+}
+
+// Syntax check where a DOM is available (popup, content script); the service worker trusts the popup
+function isValidSelector(selector) {
+    if (typeof document === 'undefined') {
+        return true;
+    }
+    
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
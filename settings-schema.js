@@ -0,0 +1,192 @@
+// Settings schema: every download setting with its default and allowed values, in one place
+// Loaded by background.js (importScripts), popup.html and options.html, after filename-template.js
+// (and selector-profile.js where settings files are imported)
+//
+// Each setting keeps its own chrome.storage.local key. Values read from storage or from an imported
+// file go through normalizeSettings, so a missing or invalid one falls back to its default.
+
+const SETTINGS_EXPORT_FORMAT = 'pixabay-sound-effects-downloader-settings';
+const SETTINGS_EXPORT_VERSION = 1;
+
+// type: 'choice' (one of values), 'string', 'boolean', 'list' (subset of values) or 'flags' (map of on/off switches)
+const SETTINGS_SCHEMA = {
+    downloadLocation: { type: 'choice', default: 'downloads', values: ['downloads', 'desktop', 'documents', 'music', 'custom'] },
+    customLocationPath: { type: 'string', default: '' },
+    mainFolderName: { type: 'string', default: 'PixabayAudio', required: true },
+    sortIntoUserFolders: { type: 'boolean', default: true },
+    fileNamingPattern: { type: 'choice', default: 'title_id', values: ['title_id', 'id_title', 'title_only', 'id_only', 'custom'] },
+    fileNamingTemplate: { type: 'string', default: DEFAULT_FILENAME_TEMPLATE, required: true, validate: validateFilenameTemplate },
+    writeMetadataSidecar: { type: 'boolean', default: false },
+    audioQuality: { type: 'choice', default: 'highest', values: ['highest', 'medium', 'preview'] },
+    downloadDelay: { type: 'choice', default: 2, values: [1, 2, 3, 5] },
+    downloadConcurrency: { type: 'choice', default: 1, values: [1, 2, 3, 4] },
+    retryAttempts: { type: 'choice', default: 2, values: [0, 1, 2, 3, 5] },
+    retryBaseDelay: { type: 'choice', default: 5, values: [2, 5, 10, 30] },
+    // Failure classes a retry can help with; see classifyDownloadError in background.js
+    retryErrorClasses: { type: 'list', default: ['network', 'server', 'no_download'], values: ['network', 'server', 'no_download', 'file'] },
+    watchlistIntervalHours: { type: 'choice', default: 24, values: [6, 12, 24, 168] },
+    watchlistAction: { type: 'choice', default: 'notify', values: ['notify', 'download'] },
+    // Desktop notifications the user can switch off one by one
+    notificationEvents: { type: 'flags', default: { batchComplete: true, errors: true, pauses: true, watchlist: true } }
+};
+
+const SETTINGS_KEYS = Object.keys(SETTINGS_SCHEMA);
+
+function getDefaultSettings() {
+    const settings = {};
+    SETTINGS_KEYS.forEach(key => {
+        settings[key] = copySettingValue(SETTINGS_SCHEMA[key].default);
+    });
+    return settings;
+}
+
+// Returns { settings, errors }: every schema key is present, missing or bad values come from baseSettings
+// (the defaults when not given). Unknown keys are reported but dropped, so files from newer versions
+// still import what they can
+function normalizeSettings(raw, baseSettings) {
+    const settings = getDefaultSettings();
+    const errors = [];
+    
+    if (baseSettings) {
+        SETTINGS_KEYS.forEach(key => {
+            if (baseSettings[key] !== undefined && baseSettings[key] !== null) {
+                settings[key] = copySettingValue(baseSettings[key]);
+            }
+        });
+    }
+    
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { settings: settings, errors: raw === undefined || raw === null ? [] : ['Settings must be an object'] };
+    }
+    
+    Object.keys(raw).forEach(key => {
+        if (!(key in SETTINGS_SCHEMA)) {
+            errors.push(`Unknown setting "${key}"`);
+            return;
+        }
+        if (raw[key] === undefined || raw[key] === null) {
+            return;
+        }
+        
+        const { value, error } = normalizeSettingValue(SETTINGS_SCHEMA[key], raw[key], settings[key]);
+        if (error) {
+            errors.push(`${key}: ${error}`);
+        } else {
+            settings[key] = value;
+        }
+    });
+    
+    return { settings: settings, errors: errors };
+}
+
+// current is the value being replaced; switches a flags value leaves out keep theirs
+function normalizeSettingValue(schema, value, current) {
+    switch (schema.type) {
+        case 'choice': {
+            // Numbers may arrive as strings from form fields
+            const candidate = typeof schema.default === 'number' && typeof value === 'string' && /^\d+$/.test(value.trim())
+                ? parseInt(value)
+                : value;
+            return schema.values.includes(candidate)
+                ? { value: candidate }
+                : { error: `must be one of ${schema.values.join(', ')}` };
+        }
+        case 'string': {
+            if (typeof value !== 'string') return { error: 'must be text' };
+            const text = value.trim();
+            if (schema.required && !text) return { value: schema.default };
+            const problems = schema.validate && text ? schema.validate(text) : [];
+            return problems.length > 0 ? { error: problems[0] } : { value: text };
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? { value: value } : { error: 'must be true or false' };
+        case 'list': {
+            if (!Array.isArray(value)) return { error: 'must be a list' };
+            const unknown = value.filter(entry => !schema.values.includes(entry));
+            return unknown.length > 0
+                ? { error: `unknown value ${unknown[0]}, allowed: ${schema.values.join(', ')}` }
+                : { value: [...new Set(value)] };
+        }
+        case 'flags': {
+            if (typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object of true/false switches' };
+            const flags = { ...schema.default, ...current };
+            for (const flag of Object.keys(value)) {
+                if (!(flag in schema.default)) return { error: `unknown switch ${flag}` };
+                if (typeof value[flag] !== 'boolean') return { error: `${flag} must be true or false` };
+                flags[flag] = value[flag];
+            }
+            return { value: flags };
+        }
+        default:
+            return { value: value };
+    }
+}
+
+function copySettingValue(value) {
+    if (Array.isArray(value)) return [...value];
+    if (value && typeof value === 'object') return { ...value };
+    return value;
+}
+
+async function loadSettings() {
+    try {
+        const result = await chrome.storage.local.get(SETTINGS_KEYS);
+        const { settings, errors } = normalizeSettings(result);
+        if (errors.length > 0) {
+            console.log('Stored settings had invalid values, using defaults for them:', errors);
+        }
+        return settings;
+    } catch (error) {
+        console.error('Error loading settings, using defaults:', error);
+        return getDefaultSettings();
+    }
+}
+
+// Writes only schema keys; returns the normalized settings that were stored
+async function saveSettings(settings) {
+    const normalized = normalizeSettings(settings).settings;
+    await chrome.storage.local.set(normalized);
+    return normalized;
+}
+
+// Selector overrides travel with the settings so a team shares fixed selectors too
+function buildSettingsExport(settings, selectorOverrides) {
+    return {
+        format: SETTINGS_EXPORT_FORMAT,
+        version: SETTINGS_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: normalizeSettings(settings).settings,
+        selectorOverrides: selectorOverrides || {}
+    };
+}
+
+// Accepts an exported file or a bare settings object; settings it leaves out or gets wrong keep their currentSettings value
+// Returns { settings, selectorOverrides, errors }; selectorOverrides is null when the file has none
+function parseSettingsImport(json, currentSettings) {
+    let data;
+    try {
+        data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (error) {
+        return { settings: null, selectorOverrides: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { settings: null, selectorOverrides: null, errors: ['Settings file must contain a JSON object'] };
+    }
+    
+    const isExport = data.format === SETTINGS_EXPORT_FORMAT;
+    if (isExport && data.version > SETTINGS_EXPORT_VERSION) {
+        return { settings: null, selectorOverrides: null, errors: [`Settings file version ${data.version} is newer than this extension supports`] };
+    }
+    
+    const { settings, errors } = normalizeSettings(isExport ? data.settings : data, currentSettings);
+    
+    let selectorOverrides = null;
+    if (isExport && data.selectorOverrides) {
+        const parsed = parseSelectorProfile(data.selectorOverrides);
+        selectorOverrides = parsed.overrides;
+        errors.push(...parsed.errors);
+    }
+    
+    return { settings: settings, selectorOverrides: selectorOverrides, errors: errors };
+}
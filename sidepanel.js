@@ -0,0 +1,165 @@
+// Side panel script for Pixabay Sound Effects Downloader - stays open next to Pixabay while a batch runs
+let panelState = null; // extensionState from the background
+let panelJob = null; // Running download job (items and per-item statuses), kept after it ends
+let isJobGone = false; // The background cleared the job: it finished, was canceled or discarded
+let hideFinishedItems = false;
+let isRenderScheduled = false;
+
+document.addEventListener('DOMContentLoaded', initializeSidePanel);
+
+async function initializeSidePanel() {
+    setupEventListeners();
+    
+    try {
+        const snapshot = await fetchJobState();
+        applyJobSnapshot(snapshot);
+        watchJobState(snapshot, applyJobSnapshot);
+    } catch (error) {
+        console.error('Error loading download state:', error);
+        document.getElementById('statusMessage').textContent = 'Could not load the download status';
+    }
+}
+
+function setupEventListeners() {
+    document.getElementById('pauseBtn').addEventListener('click', () => sendJobAction('PAUSE_DOWNLOAD'));
+    document.getElementById('resumeBtn').addEventListener('click', () => sendJobAction('RESUME_DOWNLOAD'));
+    document.getElementById('cancelBtn').addEventListener('click', () => sendJobAction('CANCEL_DOWNLOAD'));
+    document.getElementById('resumeJobBtn').addEventListener('click', () => sendJobAction('RESUME_INTERRUPTED_DOWNLOAD'));
+    document.getElementById('discardJobBtn').addEventListener('click', () => sendJobAction('DISCARD_INTERRUPTED_DOWNLOAD'));
+    document.getElementById('retryFailedBtn').addEventListener('click', () => sendJobAction('RETRY_FAILED_DOWNLOADS'));
+    document.getElementById('hideFinished').addEventListener('change', (e) => {
+        hideFinishedItems = e.target.checked;
+        scheduleRender();
+    });
+}
+
+// The resulting state changes arrive through storage, so there is nothing to update here
+async function sendJobAction(action) {
+    try {
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        await chrome.runtime.sendMessage({ action: action, tabId: activeTab ? activeTab.id : null });
+    } catch (error) {
+        console.error(`Error sending ${action}:`, error);
+        updateStatusMessage(`Could not reach the extension: ${error.message}`, 'error');
+    }
+}
+
+function applyJobSnapshot({ state, job }) {
+    panelState = state;
+    
+    if (job) {
+        panelJob = job;
+        isJobGone = false;
+    } else if (panelJob) {
+        isJobGone = true;
+    }
+    
+    scheduleRender();
+}
+
+// Storage changes arrive once per item status, render at most once per frame
+function scheduleRender() {
+    if (isRenderScheduled) return;
+    isRenderScheduled = true;
+    
+    requestAnimationFrame(() => {
+        isRenderScheduled = false;
+        renderSidePanel();
+    });
+}
+
+function renderSidePanel() {
+    const state = panelState || {};
+    
+    if (state.lastStatus) {
+        updateStatusMessage(state.lastStatus.message, state.lastStatus.type);
+    } else {
+        updateStatusMessage('Waiting for a download to start');
+    }
+    
+    renderJobSection(state);
+    renderQueue(state);
+}
+
+function updateStatusMessage(message, type = '') {
+    document.getElementById('statusMessage').textContent = message;
+    document.getElementById('statusSection').className = `status-section ${type}`;
+}
+
+function renderJobSection(state) {
+    const section = document.getElementById('jobSection');
+    const hasFailures = Array.isArray(state.failedDownloads) && state.failedDownloads.length > 0;
+    
+    if (!panelJob && !state.isDownloading && !hasFailures) {
+        section.classList.add('hidden');
+        return;
+    }
+    section.classList.remove('hidden');
+    
+    let title = 'Current Batch';
+    if (!state.isDownloading) {
+        title = state.resumableJob ? 'Interrupted Batch' : 'Last Batch';
+    } else if (state.isPaused) {
+        title = 'Current Batch (paused)';
+    }
+    document.getElementById('jobTitle').textContent = title;
+    
+    const counts = countJobStatuses(panelJob);
+    document.getElementById('jobSummary').textContent = Object.keys(JOB_ITEM_STATUS_LABELS)
+        .filter(status => counts[status])
+        .map(status => `${counts[status]} ${JOB_ITEM_STATUS_LABELS[status].toLowerCase()}`)
+        .join(' • ');
+    
+    document.getElementById('progressFill').style.width = `${getProgressPercentage(state.currentProgress)}%`;
+    document.getElementById('progressText').textContent = formatProgressText(state.currentProgress);
+    
+    const rateInfo = document.getElementById('rateInfo');
+    rateInfo.textContent = state.isDownloading ? formatRequestRate(state.requestRate) : '';
+    rateInfo.classList.toggle('slowed', !!state.isDownloading && isRequestRateSlowed(state.requestRate));
+    
+    document.getElementById('downloadControls').classList.toggle('hidden', !state.isDownloading);
+    document.getElementById('pauseBtn').disabled = !!state.isPaused;
+    document.getElementById('resumeBtn').disabled = !state.isPaused;
+    
+    document.getElementById('resumeJobControls').classList.toggle('hidden', state.isDownloading || !state.resumableJob);
+    document.getElementById('retryControls').classList.toggle('hidden', state.isDownloading || !hasFailures);
+}
+
+// Every item of the batch with its status; failures show the reason Chrome or the site gave
+function renderQueue(state) {
+    const container = document.getElementById('queueList');
+    
+    if (!panelJob || !Array.isArray(panelJob.items) || panelJob.items.length === 0) {
+        container.innerHTML = '<div class="empty-state">No download running. Start one from the popup, the right-click menu or the buttons on Pixabay result cards.</div>';
+        return;
+    }
+    
+    const failuresById = new Map((state.failedDownloads || []).map(failure => [String(failure.id), failure]));
+    const rows = [];
+    
+    panelJob.items.forEach((item, index) => {
+        // A cleared job stopped where it was; anything it never reached did not run
+        let status = panelJob.statuses[index] || 'pending';
+        if (isJobGone && (status === 'pending' || status === 'in-progress')) {
+            status = 'canceled';
+        }
+        if (hideFinishedItems && (status === 'done' || status === 'skipped')) {
+            return;
+        }
+        
+        const failure = status === 'failed' ? failuresById.get(String(item.id)) : null;
+        const detail = failure ? formatFailureReason(failure) : `ID: ${item.id}`;
+        
+        rows.push(`
+            <div class="queue-item">
+                <div class="queue-item-info">
+                    <div class="queue-item-title" title="${escapeHtml(item.pageUrl || '')}">${index + 1}. ${escapeHtml(item.title || `Sound ${item.id}`)}</div>
+                    <div class="queue-item-detail ${failure ? 'failed' : ''}">${escapeHtml(detail)}</div>
+                </div>
+                <span class="status-pill ${escapeHtml(status)}">${escapeHtml(JOB_ITEM_STATUS_LABELS[status] || 'Not run')}</span>
+            </div>
+        `);
+    });
+    
+    container.innerHTML = rows.length > 0 ? rows.join('') : '<div class="empty-state">Every item in this batch is finished.</div>';
+}